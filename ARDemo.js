@@ -2,6 +2,19 @@
 
 'use strict';
 import { TransformControls } from './modules/TransformControls.js';
+import { ProductCatalog } from './modules/ProductCatalog.js';
+import { ARPlacement, PlacementState } from './modules/ARPlacement.js';
+import { LayoutStorage } from './modules/LayoutStorage.js';
+import { ARAnchors } from './modules/ARAnchors.js';
+import { ARLighting } from './modules/ARLighting.js';
+import { ContactShadows } from './modules/ContactShadows.js';
+import { Viewer3D } from './modules/Viewer3D.js';
+import { VariantConfigurator } from './modules/VariantConfigurator.js';
+import { PartExplorer } from './modules/PartExplorer.js';
+import { UrlState } from './modules/UrlState.js';
+import { I18n } from './modules/I18n.js';
+import { sanitizeHTML, sanitizeURL } from './modules/HTMLSanitizer.js';
+import { requestXRFeatures } from './modules/XRFeatures.js';
 
 window.addEventListener('load', e => {
     const params = v3d.AppUtils.getPageParams();
@@ -206,7 +219,7 @@ function prepareExternalInterface(app) {
 
 }
 
-function runCode(app, puzzles) {
+async function runCode(app, puzzles) {
     // add your code here, e.g. console.log('Hello, World!');
 
     // Set background image for the scene
@@ -216,30 +229,595 @@ function runCode(app, puzzles) {
     //app.showFPS();
     //app.printPerformanceInfo();
     
-    //let arcballControl;
-    //arcballControl = new ArcballControls(app.camera, app.renderer.domElement, app.scene);
-    //arcballControl.addEventListener('change', updateScene);
-    //arcballControl.enabled = true;
-    //arcballControl.enableControls = true;
-    //arcballControl.enableGizmos = false;
-    //arcballControl.enableRotate = true;
+    const params = v3d.AppUtils.getPageParams();
+
+    // Shareable state: product, variant, annotations, camera view and AR intent
+    const urlState = new UrlState();
+
+    // Localized UI text, the "lang" param overrides the browser language
+    const i18n = await createI18n(params.locales || 'data/locales/', urlState.get('lang'));
+    i18n.translatePage();
 
     let transformControl = new TransformControls(app.camera, app.renderer.domElement);
-        
-    let objTruck = app.scene.getObjectByName("Truck")
-    transformControl.attach(objTruck);
     app.scene.add(transformControl);
 
+    // Products which can be placed, the first one is shown by default
+    const catalog = await createProductCatalog(app,
+            params.products || 'data/products.json');
+
+    // Placement on the surfaces detected in AR
+    const placement = new ARPlacement(app, {
+        indicator: 'IndicatorPlane',
+        indicatorGroup: 'indicator_group',
+        prompt: 'prompt_move_around',
+        placementGroup: catalog.placementGroup
+    });
+    placement.addEventListener('reject', function() {
+        if (puzzles) puzzles.procedures['show warning']('warning_unsuitable_surface');
+    });
+    placement.addEventListener('limit', function() {
+        if (puzzles) puzzles.procedures['show warning']('warning_instance_limit');
+    });
+
+    // Placed copies keep the loaded product alive after switching to another one
+    placement.addEventListener('add', function(event) {
+        if (event.object !== catalog.activeObject) {
+            event.object.userData.productId = catalog.activeProduct.id;
+            catalog.retain(catalog.activeProduct.id);
+        }
+        setButtonPressed("add_instance", false);
+    });
+    placement.addEventListener('remove', function(event) {
+        if (event.object.userData.productId)
+            catalog.release(event.object.userData.productId);
+    });
+    placement.addEventListener('select', function(event) {
+        if (event.object) {
+            transformControl.attach(event.object);
+            configureObject(event.object);
+        }
+    });
+
+    // Guide the user stuck looking for a surface and report the progress
+    placement.addEventListener('guidance', function() {
+        if (puzzles) puzzles.procedures['show warning']('warning_move_slowly');
+    });
+    placement.addEventListener('stateChange', function(event) {
+        if (event.state == PlacementState.SURFACE_FOUND && event.prevState == PlacementState.SCANNING)
+            announce(i18n.t('announce.surfaceFound', 'Surface found, tap to place the product'));
+        trackAnalyticsEvent('placement_state', {
+            state: event.state,
+            prevState: event.prevState,
+            duration: event.duration
+        });
+    });
+    transformControl.addEventListener('dragging-changed', function(event) {
+        placement.setRepositioning(event.value);
+    });
+
+    // Long-press moving in AR follows the surface found by the AR hit test
+    transformControl.hitTest = function() {
+        if (!placement.canPlace() || placement.surface !== placement.mounting)
+            return null;
+        return placement.hitPoint;
+    };
+    app.renderCallbacks.push(function() {
+        transformControl.updateHitTest();
+    });
+
+    // Placed instances are locked to the real world where anchors are supported
+    requestXRFeatures(app, ['anchors']);
+    const anchors = new ARAnchors(app);
+
+    // Scene lighting follows the room, estimated by the runtime or picked
+    // from the bundled environments
+    requestXRFeatures(app, ['light-estimation']);
+    const lighting = new ARLighting(app, {
+        environments: { dim: 'environmentIBL2.hdr', bright: 'environmentIBL.hdr' }
+    });
+
+    placement.addEventListener('place', function(event) {
+        anchors.attach(event.object);
+        announce(i18n.t('announce.placed', '{product} placed', { product: productName(i18n, catalog.activeProduct) }));
+    });
+    placement.addEventListener('remove', function(event) {
+        anchors.detach(event.object);
+        announce(i18n.t('announce.removed', 'Product removed'));
+    });
+    transformControl.addEventListener('dragging-changed', function(event) {
+        if (event.value)
+            anchors.detach(transformControl.object);
+        else
+            anchors.attach(transformControl.object);
+    });
+    transformControl.addEventListener('objectChange', function() {
+        // undo, redo, reset, keyboard nudges: re-anchor at the new pose, also
+        // if the anchor is still being created at the old one
+        if (!transformControl.dragging && anchors.isAttached(transformControl.object))
+            anchors.attach(transformControl.object);
+    });
+
+    // Placed instances cast soft shadows on the real surfaces
+    const contactShadows = new ContactShadows();
+
+    placement.addEventListener('place', function(event) {
+        contactShadows.attach(event.object, placement.mounting);
+    });
+    placement.addEventListener('remove', function(event) {
+        contactShadows.detach(event.object);
+    });
+
+    // Non-AR inspection of the product, handed off to AR on entering it
+    const viewer3D = new Viewer3D(app, {
+        placementGroup: catalog.placementGroup
+    });
+    // Gestures starting on the product transform it like in AR, the others
+    // move the camera
+    viewer3D.addEventListener('enter', function() {
+        transformControl.objectGesturesOnly = true;
+        setHTMLElemStyle('display', viewer3D.views.length ? 'flex' : 'none', 'views_panel', false);
+        setButtonPressed("view_3d", true);
+    });
+    viewer3D.addEventListener('exit', function() {
+        transformControl.objectGesturesOnly = false;
+        setHTMLElemStyle('display', 'none', 'views_panel', false);
+        setButtonPressed("view_3d", false);
+    });
+
+    transformControl.addEventListener('dragging-changed', function(event) {
+        if (viewer3D.controls)
+            viewer3D.controls.enabled = !event.value;
+    });
+
+    // Camera bookmarks, listed in the views panel of the 3D view
+    const viewManifest = await loadJSON(params.views || 'data/views.json');
+    viewer3D.views = (viewManifest && viewManifest.views) || [];
+    createViewButtons(viewer3D, i18n);
+
+    viewer3D.addEventListener('view', function(event) {
+        urlState.set({ view: event.view.id });
+    });
+    viewer3D.addEventListener('exit', function() {
+        urlState.set({ view: null });
+    });
+
+    app.ExternalInterface.goToView = function(id) {
+        if (!placement.active)
+            viewer3D.goToView(id);
+    };
+
+    // Layout of the placed instances is offered for restore in the next session
+    const layoutStorage = new LayoutStorage(placement, catalog);
+
+    // The AR session is started by the enterARMode puzzle, placement follows it
+    app.renderer.xr.addEventListener('sessionstart', function() {
+        viewer3D.exit();
+        placement.start();
+        anchors.start(app.xrSession);
+        lighting.start(app.xrSession);
+        setHTMLElemStyle('display', layoutStorage.load() ? 'block' : 'none', 'restore_layout', false);
+    });
+    app.renderer.xr.addEventListener('sessionend', function() {
+        layoutStorage.save();
+        anchors.stop();
+        lighting.stop();
+        contactShadows.clear();
+        placement.stop();
+        setHTMLElemStyle('display', 'none', 'restore_layout', false);
+        setButtonPressed("add_instance", false);
+    });
+
+    catalog.addEventListener('change', function(event) {
+        const product = event.product;
+        const attached = !placement.selected || placement.selected === placement.object;
+        if (placement.object)
+            contactShadows.detach(placement.object);
+        placement.setObject(event.object);
+        viewer3D.object = event.object;
+        if (placement.instances.indexOf(event.object) > -1)
+            contactShadows.attach(event.object, product.mounting || 'floor');
+        placement.mounting = product.mounting || 'floor';
+        const scaleLimits = product.scaleLimits || [0.05, 2];
+        transformControl.trueScale = product.trueScale || 1;
+        transformControl.minScale = transformControl.trueScale * scaleLimits[0];
+        transformControl.maxScale = transformControl.trueScale * scaleLimits[1];
+        if (attached)
+            transformControl.attach(event.object);
+    });
+
+    // Pinch scaling snaps to 5% steps of the real-world size
+    transformControl.scaleSnap = 0.05;
+
+    const scaleReadout = document.getElementById("scale_readout");
+    function updateScaleReadout() {
+        scaleReadout.textContent = transformControl.getScalePercent() + '%';
+    }
+    transformControl.addEventListener('object-changed', updateScaleReadout);
+    transformControl.addEventListener('objectChange', updateScaleReadout);
+
+    // Announce the size once the scaling is done
+    let announcedScale = 0;
+    function announceScale() {
+        const percent = transformControl.getScalePercent();
+        if (percent != announcedScale)
+            announce(i18n.t('announce.scaled', 'Scaled to {percent}%', { percent: percent }));
+        announcedScale = percent;
+    }
+    transformControl.addEventListener('object-changed', function() {
+        announcedScale = transformControl.getScalePercent();
+    });
+    transformControl.addEventListener('mouseUp', announceScale);
+    transformControl.addEventListener('objectChange', function() {
+        if (!transformControl.dragging)
+            announceScale();
+    });
+
+    // Desktop: arrows nudge the attached object, [ ] rotate and + - scale it
+    transformControl.listenToKeyEvents(window);
+
+    // iOS Quick Look: the enter AR link opens the USDZ model of the active product
+    let quickLookEnabled = false;
+    function updateQuickLookLink() {
+        if (!quickLookEnabled)
+            return;
+        const link = document.getElementById("enter_AR_button");
+        const url = catalog.getUSDZ(catalog.activeProduct, configurator.getVariantKey());
+        if (url) {
+            link.rel = 'ar';
+            link.href = url;
+        } else {
+            link.removeAttribute('rel');
+            link.removeAttribute('href');
+        }
+    }
+    catalog.addEventListener('change', updateQuickLookLink);
+    document
+    .getElementById("enter_AR_button")
+    .addEventListener("click", function() {
+        if (quickLookEnabled && !this.getAttribute('href') && puzzles)
+            puzzles.procedures['show warning']('warning_AR_unavailable');
+    });
+
+    // The enter AR link doubles as the Quick Look anchor, activate it as a button
+    document
+    .getElementById("enter_AR_button")
+    .addEventListener("keydown", function(event) {
+        if (event.key == 'Enter' || event.key == ' ') {
+            event.preventDefault();
+            this.click();
+        }
+    });
+
+    app.ExternalInterface.selectProduct = function(id) {
+        return catalog.select(id).catch(function(e) {
+            console.error(e);
+        });
+    };
+
+    catalog.addEventListener('change', function(event) {
+        urlState.set({ product: event.product.id });
+    });
+
+    // Describe the canvas to screen readers
+    const canvas = app.renderer.domElement;
+    canvas.setAttribute('role', 'img');
+    canvas.tabIndex = 0;
+    catalog.addEventListener('change', function(event) {
+        canvas.setAttribute('aria-label', i18n.t('scene.description',
+                '3D model of the {product}. Use the arrow keys to move it, [ or ] to rotate it, + or - to scale it',
+                { product: productName(i18n, event.product) }));
+    });
+
+    // Explode view and part visibility of the object attached to the transform control
+    const partExplorer = new PartExplorer(app,
+            await loadJSON(params.parts || 'data/parts.json') || {});
+    createPartRows(partExplorer, i18n);
+    placement.addEventListener('add', function(event) {
+        if (event.object !== placement.object)
+            partExplorer.resetCopy(event.object, placement.object);
+    });
+    partExplorer.addEventListener('change', function() {
+        updatePartRows(partExplorer);
+        setButtonPressed("explode", partExplorer.exploded);
+    });
+
+    // Material variants of the object attached to the transform control
+    const configurator = new VariantConfigurator(app);
+    function configureObject(object) {
+        const product = catalog.getProduct(object.userData.productId) || catalog.activeProduct;
+        configurator.setProduct(product, object);
+        partExplorer.setObject(object);
+        createVariantSwatches(configurator, i18n);
+        updateVariantSwatches(configurator);
+    }
+    catalog.addEventListener('change', function(event) {
+        if (transformControl.object === event.object)
+            configureObject(event.object);
+    });
+    configurator.addEventListener('change', function(event) {
+        if (event.object !== configurator.object)
+            return;
+        updateVariantSwatches(configurator);
+        urlState.set({ variant: configurator.getVariantKey() });
+        updateQuickLookLink();
+    });
+
+    // Unknown products, e.g. from an outdated link, fall back to the first one
+    const initialProduct = catalog.getProduct(params.product) || catalog.products[0];
+    if (initialProduct) {
+        await app.ExternalInterface.selectProduct(initialProduct.id);
+        configurator.selectOptions(urlState.getList('variant'));
+    } else {
+        console.log('No products in the catalog');
+    }
+
+    // Devices without WebXR AR open the USDZ model in Quick Look (iOS) or
+    // start in the 3D view
+    v3d.Detector.checkWebXR('immersive-ar', function() {}, function() {
+        if (document.createElement('a').relList.supports('ar')) {
+            quickLookEnabled = true;
+            updateQuickLookLink();
+        } else {
+            viewer3D.enter();
+        }
+    });
+
+    app.ExternalInterface.selectVariant = function(groupId, optionId) {
+        return configurator.select(groupId, optionId);
+    };
+
     // Perform 3D model reset
     document
     .getElementById("reset")
     .addEventListener("click", function() {
         resetObject(transformControl);
     });
+
+    // Show the model at its real-world size
+    document
+    .getElementById("true_size")
+    .addEventListener("click", function() {
+        transformControl.setTrueSize();
+    });
+
+    // Explode the parts / list them to show, hide or isolate
+    document
+    .getElementById("explode")
+    .addEventListener("click", function() {
+        partExplorer.toggleExploded();
+    });
+    document
+    .getElementById("parts")
+    .addEventListener("click", function() {
+        const panel = document.getElementById("parts_panel");
+        const visible = panel.style.display == 'block';
+        panel.style.display = visible ? 'none' : 'block';
+        setButtonPressed("parts", !visible);
+    });
+
+    // Toggle the non-AR 3D view
+    document
+    .getElementById("view_3d")
+    .addEventListener("click", function() {
+        if (!placement.active)
+            viewer3D.toggle();
+    });
+
+    // Place one more instance on the next indicator tap / remove the selected one
+    document
+    .getElementById("add_instance")
+    .addEventListener("click", function() {
+        placement.addMode = !placement.addMode;
+        setButtonPressed("add_instance", placement.addMode);
+    });
+    document
+    .getElementById("delete_instance")
+    .addEventListener("click", function() {
+        placement.removeSelected();
+    });
+
+    // Restore the layout saved in the previous AR session at the indicator
+    document
+    .getElementById("restore_layout")
+    .addEventListener("click", async function() {
+        if (await layoutStorage.restore(layoutStorage.load())) {
+            placement.instances.forEach(function(instance) {
+                anchors.attach(instance);
+                const product = catalog.getProduct(instance.userData.productId);
+                configurator.apply(instance, (product && product.variants) || []);
+                // only the first instance is placed, the others are just moved
+                contactShadows.attach(instance, (product && product.mounting) || 'floor');
+            });
+            setHTMLElemStyle('display', 'none', 'restore_layout', false);
+        }
+    });
+
+    // Step back / forward through the model manipulations
+    document
+    .getElementById("undo")
+    .addEventListener("click", function() {
+        transformControl.undo();
+    });
+    document
+    .getElementById("redo")
+    .addEventListener("click", function() {
+        transformControl.redo();
+    });
+    transformControl.addEventListener('historyChange', function() {
+        setButtonDisabled("undo", !transformControl.canUndo());
+        setButtonDisabled("redo", !transformControl.canRedo());
+    });
             
     // Create annotations
-    createAnnotations(app);
+    const annotationIds = await createAnnotations(app,
+            params.annotations || 'data/annotations.json', i18n);
+
+    // Action buttons of the annotation content
+    document.addEventListener("click", function(event) {
+        const button = event.target.closest('.annotation-action');
+        if (!button)
+            return;
+        const target = button.dataset.target;
+        switch (button.dataset.action) {
+        case 'view':
+            app.ExternalInterface.goToView(target);
+            break;
+        case 'explode':
+            partExplorer.setExploded(true);
+            if (target)
+                partExplorer.isolate(target);
+            break;
+        case 'isolate':
+            partExplorer.isolate(target);
+            break;
+        case 'open':
+            // allowed URLs are returned unchanged, rejected ones as '#'
+            if (target && sanitizeURL(target) === target)
+                window.open(target, '_blank', 'noopener');
+            break;
+        }
+    });
+
+    // Show / hide annotations
+    document
+    .getElementById("annotation")
+    .addEventListener("click", function() {
+        toggleAnnotations(annotationIds);
+        urlState.set({ show: getVisibleAnnotations(annotationIds) });
+        setButtonPressed("annotation", getVisibleAnnotations(annotationIds).length > 0);
+    });
+
+    // Open one annotation at a time, tapping either its marker or its 3D part
+    function openAnnotation(id) {
+        let opened = null;
+        annotationIds.forEach(function(annotationId) {
+            const aObj = getAnnotationObject(app, annotationId);
+            if (!aObj)
+                return;
+            if (annotationId == id) {
+                setHTMLElemStyle('display', 'block', annotationId, false);
+                opened = aObj;
+            }
+            aObj.setDialogVisibility(annotationId == id);
+        });
+        urlState.set({ open: opened ? [id] : [] });
+
+        if (opened)
+            announce(i18n.t('announce.annotationOpened', 'Annotation opened: {title}',
+                    { title: opened.userData.entry.title || id }));
 
+        // Ease the camera toward the annotated part
+        if (opened && viewer3D.active)
+            viewer3D.focusObject(opened.parent);
+    }
+    annotationIds.forEach(function(id) {
+        document.getElementById(id).addEventListener("click", function() {
+            const aObj = getAnnotationObject(app, id);
+            if (aObj && aObj.annotationDialogVisible)
+                openAnnotation(id);
+        });
+        // Markers are buttons for the keyboard users
+        document.getElementById(id).addEventListener("keydown", function(event) {
+            if (event.key != 'Enter' && event.key != ' ')
+                return;
+            event.preventDefault();
+            const aObj = getAnnotationObject(app, id);
+            if (aObj && aObj.annotationDialogVisible) {
+                aObj.setDialogVisibility(false);
+                urlState.set({ open: [] });
+            } else {
+                openAnnotation(id);
+            }
+        });
+    });
+    app.ExternalInterface.openAnnotation = openAnnotation;
+
+    // Tapping a part opens its annotation, unless the pointer moved to orbit or drag
+    const tapTolerance = 10;  // px
+    const tapStart = new v3d.Vector2();
+    canvas.addEventListener("pointerdown", function(event) {
+        tapStart.set(event.clientX, event.clientY);
+    });
+    canvas.addEventListener("pointerup", function(event) {
+        if (!event.isPrimary || tapStart.distanceTo(new v3d.Vector2(event.clientX, event.clientY)) > tapTolerance)
+            return;
+        const obj = pickObject(app, event.clientX, event.clientY);
+        const id = obj && findAnnotationForObject(app, annotationIds, obj.name);
+        if (id)
+            openAnnotation(id);
+    });
+
+    // Annotation dialogs are toggled by the annotations themselves on mousedown / touchstart
+    document.addEventListener("click", function() {
+        const open = annotationIds.filter(function(id) {
+            const aObj = getAnnotationObject(app, id);
+            return aObj && aObj.annotationDialogVisible;
+        });
+        urlState.set({ open: open });
+    });
+
+    // Restore the shared state
+    const shownIds = urlState.getList('show');
+    setHTMLElemStyle('display', 'block', annotationIds.filter(function(id) {
+        return shownIds.indexOf(id) > -1;
+    }), false);
+    urlState.getList('open').forEach(function(id) {
+        const aObj = getAnnotationObject(app, id);
+        if (aObj) {
+            setHTMLElemStyle('display', 'block', id, false);
+            aObj.setDialogVisibility(true);
+        }
+    });
+    if (urlState.get('view'))
+        app.ExternalInterface.goToView(urlState.get('view'));
+
+    // AR can't start without a user gesture, draw attention to the button instead
+    if (urlState.getBoolean('ar'))
+        document.getElementById("enter_AR_button").classList.add('attention');
+
+}
+
+/**
+ * Announce the message to screen readers through the live region
+ * @param {String} message
+ */
+function announce(message) {
+    const region = document.getElementById("live_region");
+    // clear first so that a repeated message is announced again
+    region.textContent = '';
+    setTimeout(function() {
+        region.textContent = message;
+    }, 100);
+}
+
+/**
+ * Highlight the toggle button and report its state to screen readers
+ * @param {String} id
+ * @param {Boolean} pressed
+ */
+function setButtonPressed(id, pressed) {
+    const button = document.getElementById(id);
+    button.classList.toggle('active', pressed);
+    button.setAttribute('aria-pressed', pressed);
+}
+
+/**
+ * @param {String} id
+ * @param {Boolean} disabled
+ */
+function setButtonDisabled(id, disabled) {
+    const button = document.getElementById(id);
+    button.classList.toggle('disabled', disabled);
+    button.disabled = disabled;
+}
+
+/**
+ * @param {I18n} i18n
+ * @param {Object} product
+ * @returns {String} localized product name
+ */
+function productName(i18n, product) {
+    return i18n.t('products.' + product.id, product.name || product.id);
 }
 
 /**
@@ -258,42 +836,442 @@ function resetObject(transformControl) {
 //     });
 // }
 
+/**
+ * Load a JSON data file
+ * @param {String} url
+ * @returns {Promise<Object>} parsed data or null if loading failed
+ */
+async function loadJSON(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok)
+            throw new Error(response.statusText);
+        return await response.json();
+    } catch (e) {
+        console.log(`Can't load the data file ${url}`);
+        return null;
+    }
+}
+
+/**
+ * Analytics hook: dispatches the "ardemo-analytics" window event, which the
+ * page's analytics integration can subscribe to
+ * @param {String} name
+ * @param {Object} data
+ */
+function trackAnalyticsEvent(name, data) {
+    window.dispatchEvent(new CustomEvent('ardemo-analytics', {
+        detail: Object.assign({ name: name }, data)
+    }));
+}
+
+/**
+ * Fill the views panel with the buttons animating the camera to the bookmarks
+ * @param {Viewer3D} viewer3D
+ * @param {I18n} i18n
+ */
+function createViewButtons(viewer3D, i18n) {
+    const panel = document.getElementById("views_panel");
+
+    viewer3D.views.forEach(function(view) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'view-button';
+        button.textContent = i18n.t('views.' + view.id, view.name || view.id);
+        button.setAttribute('aria-label', button.textContent);
+        button.addEventListener('click', function() {
+            viewer3D.goToView(view.id);
+        });
+        panel.appendChild(button);
+    });
+}
+
+/**
+ * Fill the parts panel with the rows toggling the part visibility
+ * @param {PartExplorer} partExplorer
+ * @param {I18n} i18n
+ */
+function createPartRows(partExplorer, i18n) {
+    const panel = document.getElementById("parts_panel");
+
+    partExplorer.parts.forEach(function(part) {
+        const row = document.createElement('div');
+        row.className = 'part-row';
+        row.dataset.part = part.id;
+
+        // pressed while the part is shown
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'part-name';
+        name.textContent = i18n.t('parts.' + part.id, part.name || part.id);
+        name.setAttribute('aria-label', name.textContent);
+        name.setAttribute('aria-pressed', true);
+        name.addEventListener('click', function() {
+            partExplorer.togglePart(part.id);
+        });
+        row.appendChild(name);
+
+        const isolate = document.createElement('button');
+        isolate.type = 'button';
+        isolate.className = 'part-isolate';
+        isolate.textContent = i18n.t('parts.isolate', 'Isolate');
+        isolate.setAttribute('aria-label', i18n.t('parts.isolatePart', 'Isolate {part}', { part: name.textContent }));
+        isolate.addEventListener('click', function() {
+            partExplorer.isolate(part.id);
+        });
+        row.appendChild(isolate);
+
+        panel.appendChild(row);
+    });
+
+    if (partExplorer.parts.length) {
+        const showAll = document.createElement('button');
+        showAll.type = 'button';
+        showAll.className = 'part-row part-show-all';
+        showAll.textContent = i18n.t('parts.showAll', 'Show all');
+        showAll.setAttribute('aria-label', showAll.textContent);
+        showAll.addEventListener('click', function() {
+            partExplorer.showAll();
+        });
+        panel.appendChild(showAll);
+    }
+}
+
+/**
+ * Dim the rows of the hidden parts
+ * @param {PartExplorer} partExplorer
+ */
+function updatePartRows(partExplorer) {
+    document.querySelectorAll('#parts_panel .part-row[data-part]').forEach(function(row) {
+        const hidden = partExplorer.hidden.has(row.dataset.part);
+        row.classList.toggle('hidden-part', hidden);
+        row.querySelector('.part-name').setAttribute('aria-pressed', !hidden);
+    });
+}
+
+/**
+ * Fill the variants panel with the swatches of the configured product
+ * @param {VariantConfigurator} configurator
+ * @param {I18n} i18n
+ */
+function createVariantSwatches(configurator, i18n) {
+    const panel = document.getElementById("variants_panel");
+    panel.innerHTML = '';
+
+    configurator.groups.forEach(function(group) {
+        const row = document.createElement('div');
+        row.className = 'variant-group';
+
+        const label = document.createElement('div');
+        label.className = 'variant-label';
+        label.textContent = i18n.t('variants.' + group.id, group.name || group.id);
+        row.appendChild(label);
+
+        group.options.forEach(function(option) {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'swatch';
+            swatch.title = i18n.t('variants.' + group.id + '.' + option.id, option.name || option.id);
+            swatch.setAttribute('aria-label', label.textContent + ': ' + swatch.title);
+            swatch.setAttribute('aria-pressed', false);
+            swatch.dataset.group = group.id;
+            swatch.dataset.option = option.id;
+            if (option.icon)
+                swatch.style.backgroundImage = `url('${option.icon}')`;
+            else
+                swatch.style.backgroundColor = option.color || '#ffffff';
+            swatch.addEventListener('click', function() {
+                configurator.select(group.id, option.id);
+            });
+            row.appendChild(swatch);
+        });
+
+        panel.appendChild(row);
+    });
+}
+
+/**
+ * Highlight the swatches of the selected options
+ * @param {VariantConfigurator} configurator
+ */
+function updateVariantSwatches(configurator) {
+    const configuration = configurator.getConfiguration();
+
+    document.querySelectorAll('#variants_panel .swatch').forEach(function(swatch) {
+        const selected = configuration[swatch.dataset.group] === swatch.dataset.option;
+        swatch.classList.toggle('active', selected);
+        swatch.setAttribute('aria-pressed', selected);
+    });
+}
+
+/**
+ * Create the product catalog from a manifest listing the products, falls back
+ * to the truck shipped with the main scene
+ * @param {*} app
+ * @param {String} manifestURL
+ */
+async function createProductCatalog(app, manifestURL) {
+    const manifest = await loadJSON(manifestURL) || {
+        placementGroup: 'truck_group',
+        products: [{ id: 'truck', name: 'Truck', object: 'Truck' }]
+    };
+    return new ProductCatalog(app, manifest);
+}
+
+/**
+ * Create the localization with the bundles of the default and the detected
+ * locales. The locales directory lists the supported locales in index.json,
+ * e.g. { "default": "en", "locales": ["en", "de", "ar"] }, each locale
+ * bundle is stored as <locale>.json
+ * @param {String} localesURL Directory of the locale bundles
+ * @param {String} lang Requested locale
+ */
+async function createI18n(localesURL, lang) {
+    const i18n = new I18n(await loadJSON(localesURL + 'index.json') || {});
+    const locale = i18n.detect(lang);
+
+    i18n.setBundle(i18n.defaultLocale, await loadJSON(localesURL + i18n.defaultLocale + '.json'));
+    if (locale !== i18n.defaultLocale)
+        i18n.setBundle(locale, await loadJSON(localesURL + locale + '.json'));
+    i18n.setLocale(locale);
+
+    return i18n;
+}
+
+/**
+ * Load the annotation manifest: a JSON file describing which object each
+ * annotation is attached to, its title, content (text or the blocks listed
+ * at annotationContents()), marker icon, camera bookmark to show, parts
+ * opening it when tapped and default visibility, e.g.:
+ * {
+ *     "annotations": [{
+ *         "id": "an_1", "label": "1", "target": "Door_Annotation",
+ *         "title": "Door", "body": "...", "icon": "media/Annotation.png",
+ *         "links": [{ "text": "Truck", "href": "https://..." }],
+ *         "view": "cab_interior", "parts": ["Door"], "visible": false
+ *     }]
+ * }
+ * @param {String} url
+ * @returns {Promise<Array>} annotation entries, empty if loading failed
+ */
+async function loadAnnotationManifest(url) {
+    const manifest = await loadJSON(url);
+    return manifest && manifest.annotations || [];
+}
+
 /**
  * Create Annotations
  * @param {*} app
+ * @param {String} manifestURL
+ * @param {I18n} i18n
+ * @returns {Promise<Array>} ids of the created annotations
  */
-function createAnnotations(app){
-    let annotate01 = ('<b>Door</b><br><br> ' + '\n' +
-    'For more details about the product, check' + '\n' +
-    '<a href="https://en.wikipedia.org/wiki/Truck" style="color: yellow" target = "_blank">Truck</a>' + '\n' +
-    '');
-
-    let annotate02 = ('<b>Chassis</b><br><br> ' + '\n' +
-    'For more details about the product, check' + '\n' +
-    '<a href="https://en.wikipedia.org/wiki/Truck" style="color: yellow" target = "_blank">Truck</a>' + '\n' +
-    '');
-
-    let annotate03 = ('<b>Fuel Tank</b><br><br> ' + '\n' +
-    'For more details about the product, check' + '\n' +
-    '<a href="https://en.wikipedia.org/wiki/Truck" style="color: yellow" target = "_blank">Truck</a>' + '\n' +
-    '');
-
-    let annotate04 = ('<b>Wheel</b><br><br> ' + '\n' +
-    'For more details about the product, check' + '\n' +
-    '<a href="https://en.wikipedia.org/wiki/Truck" style="color: yellow" target = "_blank">Truck</a>' + '\n' +
-    '');
-             
-         
-    // Add annotations to the scene
-    handleAnnot(app, true, '1', 'Door_Annotation', annotate01, 'an_1', undefined);
-    handleAnnot(app, true, '2', 'Chassis_Annotation', annotate02, 'an_2', undefined);
-    handleAnnot(app, true, '3', 'Fuel_Annotation', annotate03, 'an_3', undefined);
-    handleAnnot(app, true, '4', 'Wheel_Annotation', annotate04, 'an_4', undefined);
-           
-    // Hide annotations (by default)
-    setHTMLElemStyle('display', 'none', ['an_1', 'an_2', 'an_3', 'an_4'], false);
-  }
-  
+async function createAnnotations(app, manifestURL, i18n) {
+    const entries = await loadAnnotationManifest(manifestURL);
+    const ids = [];
+
+    entries.forEach(function(entry, index) {
+        const id = entry.id || 'an_' + (index + 1);
+        entry = i18n.localizeAnnotation(Object.assign({ id: id }, entry));
+        const label = entry.label || String(index + 1);
+
+        // Add annotations to the scene
+        const aObj = handleAnnot(app, true, label, entry.target,
+                annotationContents(entry, i18n), id, undefined);
+        if (!aObj)
+            return;
+
+        aObj.userData.entry = entry;
+
+        aObj.annotation.tabIndex = 0;
+        aObj.annotation.setAttribute('role', 'button');
+        aObj.annotation.setAttribute('aria-label', entry.title || label);
+
+        if (entry.icon) {
+            aObj.annotation.classList.add('v3d-annotation-icon');
+            aObj.annotation.style.backgroundImage = `url('${entry.icon}')`;
+        }
+
+        // Hide annotations (unless visible by default)
+        setHTMLElemStyle('display', entry.visible ? 'block' : 'none', id, false);
+        ids.push(id);
+    });
+
+    return ids;
+}
+
+/**
+ * Build the HTML content of the annotation dialog from a manifest entry. The
+ * title is followed by the "content" blocks, or by the plain "body" and
+ * "links" of older manifests:
+ *     { "type": "text", "text": "..." }
+ *     { "type": "image", "src": "media/part.jpg", "alt": "..." }
+ *     { "type": "video", "src": "media/part.mp4", "poster": "media/part.jpg" }
+ *     { "type": "specs", "rows": [{ "id": "capacity", "label": "Capacity", "value": "400 L" }] }
+ *     { "type": "links", "links": [{ "text": "...", "href": "https://..." }] }
+ *     { "type": "actions", "actions": [{ "text": "Show exploded", "action": "explode", "target": "fuel_tank" }] }
+ * Actions are "view" (camera bookmark), "explode", "isolate" (part ids) and
+ * "open" (URL in a new tab). Blocks, rows, links and actions are translated
+ * by their ids, see I18n. Rows of older manifests are [label, value] arrays
+ * @param {Object} entry
+ * @param {I18n} i18n
+ */
+function annotationContents(entry, i18n) {
+    let contents = '<div class="annotation-title">' + escapeHTML(entry.title || '') + '</div>' + '\n';
+
+    const blocks = entry.content ? entry.content.slice() : [
+        { type: 'text', text: entry.body },
+        { type: 'links', links: entry.links }
+    ];
+
+    if (entry.view)
+        blocks.push({ type: 'actions', actions: [
+            { text: entry.viewText || i18n.t('annotation.showCloseUp', 'Show close-up'), action: 'view', target: entry.view }
+        ] });
+
+    blocks.forEach(function(block) {
+        contents += annotationBlock(block);
+    });
+
+    return contents;
+}
+
+/**
+ * Build the HTML of a single annotation content block
+ * @param {Object} block
+ */
+function annotationBlock(block) {
+    switch (block.type) {
+    case 'text':
+        return block.text ? '<div class="annotation-text">' + escapeHTML(block.text) + '</div>' + '\n' : '';
+    case 'image':
+        return '<img class="annotation-image" src="' + escapeHTML(sanitizeURL(block.src)) +
+                '" alt="' + escapeHTML(block.alt || '') + '">' + '\n';
+    case 'video':
+        return '<video class="annotation-video" src="' + escapeHTML(sanitizeURL(block.src)) + '"' +
+                (block.poster ? ' poster="' + escapeHTML(sanitizeURL(block.poster)) + '"' : '') +
+                ' controls muted playsinline preload="metadata"></video>' + '\n';
+    case 'specs':
+        return '<table class="annotation-specs">' + (block.rows || []).map(function(row) {
+            if (Array.isArray(row))
+                row = { label: row[0], value: row[1] };
+            return '<tr><th>' + escapeHTML(row.label) + '</th><td>' + escapeHTML(row.value) + '</td></tr>';
+        }).join('') + '</table>' + '\n';
+    case 'links':
+        return (block.links || []).map(function(link) {
+            return '<a class="annotation-link" href="' + escapeHTML(sanitizeURL(link.href)) + '" target="_blank">' +
+                    escapeHTML(link.text || link.href) + '</a>' + '\n';
+        }).join('');
+    case 'actions':
+        return '<div class="annotation-actions">' + (block.actions || []).map(function(action) {
+            return '<button class="annotation-action" data-action="' + escapeHTML(action.action) +
+                    '" data-target="' + escapeHTML(action.target || action.href || '') + '">' +
+                    escapeHTML(action.text || action.action) + '</button>';
+        }).join('') + '</div>' + '\n';
+    default:
+        console.warn(`Unknown annotation content block "${block.type}"`);
+        return '';
+    }
+}
+
+/**
+ * Show all the annotations if some of them are hidden, hide them otherwise
+ * @param {Array} ids
+ */
+function toggleAnnotations(ids) {
+    const allVisible = getElements(ids, false).every(function(elem) {
+        return elem && elem.style.display != 'none';
+    });
+    setHTMLElemStyle('display', allVisible ? 'none' : 'block', ids, false);
+}
+
+/**
+ * Get the ids of the annotations with visible markers
+ * @param {Array} ids
+ */
+function getVisibleAnnotations(ids) {
+    return ids.filter(function(id) {
+        const elem = document.getElementById(id);
+        return elem && elem.style.display != 'none';
+    });
+}
+
+/**
+ * Find the annotation object by the id of its HTML element
+ * @param {*} app
+ * @param {String} id
+ */
+function getAnnotationObject(app, id) {
+    let aObj = null;
+    app.scene.traverse(function(obj) {
+        if (obj.isAnnotation && obj.annotation.id == id)
+            aObj = obj;
+    });
+    return aObj;
+}
+
+/**
+ * Find the annotation of the tapped part: listed in the annotation "parts" or
+ * the parent of the annotation target
+ * @param {*} app
+ * @param {Array} ids
+ * @param {String} objName
+ */
+function findAnnotationForObject(app, ids, objName) {
+    return ids.find(function(id) {
+        const aObj = getAnnotationObject(app, id);
+        if (!aObj)
+            return false;
+        const parts = aObj.userData.entry.parts || [];
+        return parts.indexOf(objName) > -1 ||
+                (aObj.parent && aObj.parent.parent && aObj.parent.parent.name == objName);
+    });
+}
+
+/**
+ * Find the visible object under the pointer, objects auto-generated for
+ * multi-material meshes resolve to their parent
+ * @param {*} app
+ * @param {Number} clientX
+ * @param {Number} clientY
+ * @returns {Object3D} picked object or null
+ */
+function pickObject(app, clientX, clientY) {
+    const rect = app.renderer.domElement.getBoundingClientRect();
+    const coords = new v3d.Vector2((clientX - rect.left) / rect.width * 2 - 1,
+            -(clientY - rect.top) / rect.height * 2 + 1);
+
+    const raycaster = new v3d.Raycaster();
+    raycaster.setFromCamera(coords, app.getCamera(true));
+
+    const intersect = raycaster.intersectObjects(app.scene.children, true).find(function(intersect) {
+        let visible = true;
+        intersect.object.traverseAncestors(function(obj) {
+            visible = visible && obj.visible;
+        });
+        return visible && intersect.object.visible;
+    });
+
+    if (!intersect)
+        return null;
+
+    const obj = intersect.object;
+    return obj.isMaterialGeneratedMesh && obj.parent ? obj.parent : obj;
+}
+
+/**
+ * Utility function to escape text inserted into HTML content
+ * @param {String} text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
   /**
    * Add annotations to the scene
   * @param {*} app
@@ -302,11 +1280,17 @@ function createAnnotations(app){
   * @param {*} objSelector : Part name
   * @param {*} contents : HTML content to be displayed
   * @param {*} id
+  * @returns {v3d.Annotation} created annotation or null
    */
   function handleAnnot(app, add, annot, objSelector, contents, id, name) {
     let obj = app.scene.getObjectByName(objSelector);
+    if (!obj) {
+      console.warn(`Annotation target object "${objSelector}" not found`);
+      return null;
+    }
     if (add) {
-      let aObj = new v3d.Annotation(app.container, annot, contents);
+      // contents may come from data files or URLs
+      let aObj = new v3d.Annotation(app.container, annot, sanitizeHTML(contents));
       aObj.name = findUniqueObjectName(name ? name : annot);
       aObj.fadeObscured = true; // Fade annotations (true) _pGlob.fadeAnnotations;
       if (id) {
@@ -314,7 +1298,9 @@ function createAnnotations(app){
           aObj.annotationDialog.id = id+'_dialog';
       }
       obj.add(aObj);
+      return aObj;
     }
+    return null;
   }
   
   /**
@@ -0,0 +1,187 @@
+import {
+    Quaternion,
+    Vector3
+} from '../v3d.module.js';
+
+import { setWorldPosition, setWorldQuaternion } from './ARPlacement.js';
+import { isXRFeatureEnabled } from './XRFeatures.js';
+
+const _position = new Vector3();
+const _quaternion = new Quaternion();
+const _scale = new Vector3();
+
+/**
+ * Locks placed objects to the real world with WebXR anchors. An anchor is
+ * created at the current world pose of the object and the object follows the
+ * anchor pose every frame, as the tracking system refines its world map.
+ * Without the "anchors" feature attach() and detach() do nothing, so objects
+ * keep the transform they were placed with.
+ *
+ * update() takes the XR frame and reference space explicitly, so it can be
+ * driven by a stub frame outside of an AR session.
+ *
+ * @param {App} app Verge3D application
+ */
+class ARAnchors {
+
+    constructor(app) {
+
+        this.app = app;
+
+        this.session = null;
+        this.supported = false;
+
+        this._entries = new Map();      // object -> { anchor, pending, position, quaternion }
+        this._frameRequest = null;
+
+    }
+
+    // Start syncing, call once the AR session is acquired
+    start(session = this.app.xrSession) {
+
+        this.session = session;
+        this.supported = isXRFeatureEnabled(session, 'anchors') &&
+                typeof XRFrame !== 'undefined' && 'createAnchor' in XRFrame.prototype;
+
+        if (this.supported) this._frameRequest = session.requestAnimationFrame(this._onXRFrame);
+
+    }
+
+    stop() {
+
+        if (this.session && this._frameRequest !== null) {
+
+            this.session.cancelAnimationFrame(this._frameRequest);
+
+        }
+
+        this._entries.forEach((entry, object) => this.detach(object));
+
+        this.session = null;
+        this.supported = false;
+        this._frameRequest = null;
+
+    }
+
+    /**
+     * Anchor the object at its current world pose, replacing its previous anchor
+     * @param {Object3D} object
+     */
+    attach(object) {
+
+        if (!this.supported) return;
+
+        this.detach(object);
+
+        object.updateWorldMatrix(true, false);
+        object.matrixWorld.decompose(_position, _quaternion, _scale);
+
+        // the anchor is created in the next XR frame
+        this._entries.set(object, {
+            anchor: null,
+            pending: true,
+            position: _position.clone(),
+            quaternion: _quaternion.clone()
+        });
+
+    }
+
+    /**
+     * Stop following the anchor and delete it
+     * @param {Object3D} object
+     */
+    detach(object) {
+
+        const entry = this._entries.get(object);
+
+        if (!entry) return;
+
+        if (entry.anchor) entry.anchor.delete();
+
+        this._entries.delete(object);
+
+    }
+
+    // Anchored, or the anchor is requested or being created
+    isAttached(object) {
+
+        return this._entries.has(object);
+
+    }
+
+    isAnchored(object) {
+
+        const entry = this._entries.get(object);
+        return entry !== undefined && entry.anchor !== null;
+
+    }
+
+    /**
+     * Create requested anchors and move the objects to the anchor poses
+     * @param {XRFrame} frame
+     * @param {XRReferenceSpace} referenceSpace
+     */
+    update(frame, referenceSpace) {
+
+        this._entries.forEach((entry, object) => {
+
+            if (entry.pending) {
+
+                entry.pending = false;
+
+                const p = entry.position, q = entry.quaternion;
+                const pose = new XRRigidTransform({ x: p.x, y: p.y, z: p.z },
+                        { x: q.x, y: q.y, z: q.z, w: q.w });
+
+                frame.createAnchor(pose, referenceSpace).then(anchor => {
+
+                    // detached or re-attached while the anchor was being created
+                    if (this._entries.get(object) !== entry) {
+
+                        anchor.delete();
+                        return;
+
+                    }
+
+                    entry.anchor = anchor;
+
+                }, error => {
+
+                    console.log(`ARAnchors: Can't create the anchor: ${error.message}`);
+
+                });
+
+                return;
+
+            }
+
+            if (entry.anchor === null || !frame.trackedAnchors.has(entry.anchor)) return;
+
+            const pose = frame.getPose(entry.anchor.anchorSpace, referenceSpace);
+
+            if (!pose) return;
+
+            const transform = pose.transform;
+
+            setWorldPosition(object, _position.copy(transform.position));
+            setWorldQuaternion(object, _quaternion.copy(transform.orientation));
+
+        });
+
+    }
+
+    _onXRFrame = (time, frame) => {
+
+        if (!this.session) return;
+
+        this._frameRequest = this.session.requestAnimationFrame(this._onXRFrame);
+
+        const referenceSpace = this.app.renderer.xr.getReferenceSpace();
+
+        if (referenceSpace) this.update(frame, referenceSpace);
+
+    };
+
+}
+
+export { ARAnchors };
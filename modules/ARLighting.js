@@ -0,0 +1,373 @@
+import {
+    DirectionalLight,
+    LightProbe,
+    MathUtils,
+    RGBELoader
+} from '../v3d.module.js';
+
+import { isXRFeatureEnabled } from './XRFeatures.js';
+
+// Ambient SH luminance matching the environment authored in the scene
+const REFERENCE_AMBIENT = 0.5;
+
+/**
+ * Lighting of the scene matching the room in AR. With the WebXR
+ * "light-estimation" feature the estimated spherical harmonics drive a light
+ * probe, the primary light drives a directional light and the ambient
+ * brightness scales the environment intensity of the materials. Otherwise the
+ * environment HDR is picked by the ambient light sensor reading or, without
+ * the sensor, by the local time: the dim one at night, the authored one
+ * during the day.
+ *
+ * @param {App} app Verge3D application
+ * @param {Object} options HDR environments for dim and bright rooms, room
+ * illuminance thresholds in lux, day hours [from, to) of the local time
+ */
+class ARLighting {
+
+    constructor(app, options = {}) {
+
+        this.app = app;
+
+        this.environments = Object.assign({
+            dim: 'environmentIBL2.hdr',
+            bright: 'environmentIBL.hdr'
+        }, options.environments);
+
+        this.dimIlluminance = options.dimIlluminance !== undefined ? options.dimIlluminance : 50;
+        this.brightIlluminance = options.brightIlluminance !== undefined ? options.brightIlluminance : 1000;
+        this.dayHours = options.dayHours || [7, 19];
+
+        this.session = null;
+        this.estimated = false;     // lighting follows the light estimate
+
+        this.lightProbe = new LightProbe();
+        this.lightProbe.name = 'AR_LIGHT_PROBE';
+
+        this.primaryLight = new DirectionalLight();
+        this.primaryLight.name = 'AR_PRIMARY_LIGHT';
+
+        this._xrProbe = null;
+        this._frameRequest = null;
+        this._sensor = null;
+        this._envMapIntensities = new Map();    // material -> authored intensity
+        this._environment = null;               // currently applied HDR url
+        this._requestedEnvironment = null;      // HDR url applied or being loaded
+        this._worldTexture = null;              // { key, texture } authored world texture
+
+    }
+
+    // Start estimation, call once the AR session is acquired
+    start(session = this.app.xrSession) {
+
+        this.session = session;
+
+        if (isXRFeatureEnabled(session, 'light-estimation') && session.requestLightProbe) {
+
+            session.requestLightProbe().then(probe => {
+
+                if (this.session !== session) return;
+
+                this._xrProbe = probe;
+                this._startEstimation();
+
+            }, error => {
+
+                if (this.session !== session) return;
+
+                console.log(`ARLighting: Light estimation unavailable: ${error.message}`);
+                this._startFallback();
+
+            });
+
+        } else {
+
+            this._startFallback();
+
+        }
+
+    }
+
+    stop() {
+
+        if (this.session && this._frameRequest !== null) {
+
+            this.session.cancelAnimationFrame(this._frameRequest);
+
+        }
+
+        if (this._sensor) {
+
+            this._sensor.stop();
+            this._sensor = null;
+
+        }
+
+        this.lightProbe.removeFromParent();
+        this.primaryLight.removeFromParent();
+        this.primaryLight.target.removeFromParent();
+
+        this._envMapIntensities.forEach((intensity, material) => {
+
+            material.envMapIntensity = intensity;
+
+        });
+        this._envMapIntensities.clear();
+
+        this.setEnvironment(null);
+
+        this.session = null;
+        this.estimated = false;
+        this._xrProbe = null;
+        this._frameRequest = null;
+
+    }
+
+    /**
+     * Apply the light estimate to the light probe, primary light and
+     * environment intensity
+     * @param {XRFrame} frame
+     */
+    update(frame) {
+
+        const estimate = frame.getLightEstimate(this._xrProbe);
+
+        if (!estimate) return;
+
+        const sh = estimate.sphericalHarmonicsCoefficients;
+        this.lightProbe.sh.fromArray(sh);
+
+        // the direction points towards the light
+        const direction = estimate.primaryLightDirection;
+        this.primaryLight.position.set(direction.x, direction.y, direction.z).multiplyScalar(10);
+
+        const intensity = estimate.primaryLightIntensity;
+        const maxIntensity = Math.max(intensity.x, intensity.y, intensity.z);
+
+        if (maxIntensity > 0) {
+
+            this.primaryLight.color.setRGB(intensity.x / maxIntensity,
+                    intensity.y / maxIntensity, intensity.z / maxIntensity);
+
+        }
+
+        this.primaryLight.intensity = maxIntensity;
+
+        const ambient = (sh[0] + sh[1] + sh[2]) / 3;
+        this.setEnvironmentIntensity(MathUtils.clamp(ambient / REFERENCE_AMBIENT, 0.1, 2));
+
+    }
+
+    /**
+     * Scale the environment intensity of the scene materials relative to the
+     * authored one
+     * @param {Number} factor
+     */
+    setEnvironmentIntensity(factor) {
+
+        if (this._envMapIntensities.size === 0) {
+
+            this.app.scene.traverse(obj => {
+
+                const materials = Array.isArray(obj.material) ? obj.material :
+                        (obj.material ? [obj.material] : []);
+
+                materials.forEach(material => {
+
+                    if (material.envMapIntensity !== undefined)
+                        this._envMapIntensities.set(material, material.envMapIntensity);
+
+                });
+
+            });
+
+        }
+
+        this._envMapIntensities.forEach((intensity, material) => {
+
+            material.envMapIntensity = intensity * factor;
+
+        });
+
+    }
+
+    /**
+     * Replace the HDR texture of the world material, null restores the
+     * authored one
+     * @param {String} url
+     * @returns {Promise}
+     */
+    async setEnvironment(url) {
+
+        const worldMaterial = this.app.scene.worldMaterial;
+
+        if (!worldMaterial || url === this._requestedEnvironment) return;
+
+        this._requestedEnvironment = url;
+
+        // back to the applied one while another is loading
+        if (url === this._environment) return;
+
+        if (this._worldTexture === null) {
+
+            const key = Object.keys(worldMaterial.nodeTextures).find(key => {
+
+                return worldMaterial.nodeTextures[key].isDataTexture;
+
+            });
+
+            if (key === undefined) return;
+
+            this._worldTexture = { key: key, texture: worldMaterial.nodeTextures[key] };
+
+        }
+
+        const authored = this._worldTexture.texture;
+        let texture = authored;
+
+        if (url) {
+
+            try {
+
+                texture = await new Promise((resolve, reject) => {
+
+                    new RGBELoader().load(url, resolve, null, reject);
+
+                });
+
+            } catch (e) {
+
+                console.log(`ARLighting: Can't load the environment ${url}`);
+
+                if (url === this._requestedEnvironment)
+                    this._requestedEnvironment = this._environment;
+
+                return;
+
+            }
+
+            // superseded while loading
+            if (url !== this._requestedEnvironment) {
+
+                texture.dispose();
+                return;
+
+            }
+
+            texture.mapping = authored.mapping;
+            texture.flipY = authored.flipY;
+            texture.wrapS = authored.wrapS;
+            texture.wrapT = authored.wrapT;
+
+        }
+
+        const prevTexture = worldMaterial.nodeTextures[this._worldTexture.key];
+
+        worldMaterial.nodeTextures[this._worldTexture.key] = texture;
+        worldMaterial.needsUpdate = true;
+        this.app.updateEnvironment(worldMaterial);
+
+        this._environment = url;
+
+        if (prevTexture !== authored) prevTexture.dispose();
+
+    }
+
+    _startEstimation() {
+
+        this.estimated = true;
+
+        this.app.scene.add(this.lightProbe);
+        this.app.scene.add(this.primaryLight);
+        this.app.scene.add(this.primaryLight.target);
+
+        this._frameRequest = this.session.requestAnimationFrame(this._onXRFrame);
+
+    }
+
+    // Pick the environment by the room illuminance, or by the local time
+    // without the ambient light sensor
+    _startFallback() {
+
+        if (typeof AmbientLightSensor === 'undefined') {
+
+            this._startTimeOfDay();
+            return;
+
+        }
+
+        try {
+
+            this._sensor = new AmbientLightSensor({ frequency: 1 });
+
+        } catch (e) {
+
+            console.log(`ARLighting: Ambient light sensor unavailable: ${e.message}`);
+            this._sensor = null;
+            this._startTimeOfDay();
+            return;
+
+        }
+
+        this._sensor.addEventListener('reading', () => {
+
+            const illuminance = this._sensor.illuminance;
+
+            if (illuminance < this.dimIlluminance) {
+
+                this.setEnvironment(this.environments.dim);
+
+            } else if (illuminance > this.brightIlluminance) {
+
+                this.setEnvironment(this.environments.bright);
+
+            } else {
+
+                this.setEnvironment(null);
+
+            }
+
+        });
+
+        this._sensor.addEventListener('error', event => {
+
+            console.log(`ARLighting: Ambient light sensor error: ${event.error.message}`);
+
+            // e.g. the permission is denied
+            if (this._sensor) {
+
+                this._sensor.stop();
+                this._sensor = null;
+                this._startTimeOfDay();
+
+            }
+
+        });
+
+        this._sensor.start();
+
+    }
+
+    // The dim environment at night, the authored one during the day
+    _startTimeOfDay() {
+
+        const hour = new Date().getHours();
+        const day = hour >= this.dayHours[0] && hour < this.dayHours[1];
+
+        this.setEnvironment(day ? null : this.environments.dim);
+
+    }
+
+    _onXRFrame = (time, frame) => {
+
+        if (!this.session) return;
+
+        this._frameRequest = this.session.requestAnimationFrame(this._onXRFrame);
+
+        this.update(frame);
+
+    };
+
+}
+
+export { ARLighting };
@@ -0,0 +1,630 @@
+import {
+    EventDispatcher,
+    MathUtils,
+    Matrix4,
+    Quaternion,
+    Raycaster,
+    Vector3
+} from '../v3d.module.js';
+
+const _placeEvent = { type: 'place', object: null };
+const _rejectEvent = { type: 'reject', surface: null };
+const _addEvent = { type: 'add', object: null };
+const _removeEvent = { type: 'remove', object: null };
+const _selectEvent = { type: 'select', object: null };
+const _limitEvent = { type: 'limit' };
+const _stateChangeEvent = { type: 'stateChange', state: null, prevState: null, duration: 0 };
+const _guidanceEvent = { type: 'guidance', state: null };
+
+const PlacementState = {
+
+    NONE: 'none',
+    INITIALIZING: 'initializing',       // session started, no hit test result yet
+    SCANNING: 'scanning',               // looking for a surface
+    SURFACE_FOUND: 'surface-found',     // the indicator is on a surface
+    PLACED: 'placed',                   // at least one instance is placed
+    REPOSITIONING: 'repositioning'      // a placed instance is being moved
+
+};
+
+const _raycaster = new Raycaster();
+const _tempMatrix = new Matrix4();
+const _indicatorScale = new Vector3();
+
+const _up = new Vector3(0, 1, 0);
+const _unitZ = new Vector3(0, 0, 1);
+const _tempVector = new Vector3();
+const _tempVector2 = new Vector3();
+const _tempQuaternion = new Quaternion();
+const _parentQuaternion = new Quaternion();
+
+/**
+ * Placement of the product on surfaces detected by the AR hit test. The
+ * indicator follows the hit point and is aligned to the surface normal,
+ * floor-standing products can only be placed on horizontal surfaces and
+ * wall-mounted products on vertical ones.
+ *
+ * Several instances can be placed in one session: the product object itself
+ * and its copies. Tapping an instance selects it, tapping the indicator moves
+ * the selected instance there, or places a new one in the add mode.
+ *
+ * Placement goes through the states listed in PlacementState, each change is
+ * reported by the 'stateChange' event. Staying in the initializing or
+ * scanning state for longer than guidanceTimeout dispatches the 'guidance'
+ * event, so that the user can be told how to help tracking.
+ *
+ * @param {App} app Verge3D application
+ * @param {Object} options Names of the indicator object, groups and objects
+ * shown during placement, hit point smoothing
+ */
+class ARPlacement extends EventDispatcher {
+
+    constructor(app, options = {}) {
+
+        super();
+
+        this.app = app;
+
+        this.indicator = options.indicator || 'IndicatorPlane';
+        this.indicatorGroup = options.indicatorGroup || 'indicator_group';
+        this.prompt = options.prompt || 'prompt_move_around';
+        this.placementGroup = options.placementGroup || null;
+        this.smooth = options.smooth !== undefined ? options.smooth : 0.7;
+
+        // Maximum slope of a floor and minimum slope of a wall, in radians
+        this.maxFloorSlope = MathUtils.degToRad(20);
+        this.minWallSlope = MathUtils.degToRad(70);
+
+        this.object = null;         // product object, copied to place more instances
+        this.mounting = 'floor';    // 'floor' or 'wall'
+
+        this.instances = [];
+        this.selected = null;
+        this.maxInstances = 5;
+        this.addMode = false;       // place a new instance on the next indicator tap
+
+        this.hitPoint = new Vector3();
+        this.hitNormal = new Vector3(0, 1, 0);
+        this.surface = null;        // 'floor', 'wall' or 'slope' under the indicator
+
+        this.active = false;
+        this._hasHit = false;
+        this._controllers = [];     // XR controllers listened to for taps
+
+        this.state = PlacementState.NONE;
+        this.guidanceTimeout = 8;       // seconds
+        this._stateTime = 0;            // seconds in the current state
+        this._guidanceShown = false;
+
+    }
+
+    // Start hit testing, call once the AR session is acquired
+    start() {
+
+        this.active = true;
+        this._hasHit = false;
+
+        const indicator = this.app.scene.getObjectByName(this.indicator);
+        if (indicator) _indicatorScale.copy(indicator.scale);
+
+        this.app.renderCallbacks.push(this.onRender);
+        this.setState(PlacementState.INITIALIZING);
+
+        setGroupVisibility(this.app.scene, this.placementGroup, false);
+        setObjectVisibility(this.app.scene.getObjectByName(this.prompt), true);
+
+        this.app.renderer.xr.arHitTest(0, 0, this.onHit, this.onMiss);
+
+        // the app forgets the controllers before the session end is reported
+        this._controllers = this.app.xrControllers.slice();
+
+        this._controllers.forEach(controller => {
+
+            controller.addEventListener('select', this.onSelect);
+
+        });
+
+    }
+
+    // Stop hit testing, remove the placed copies and return the object to the origin
+    stop() {
+
+        this.active = false;
+
+        const index = this.app.renderCallbacks.indexOf(this.onRender);
+        if (index > -1) this.app.renderCallbacks.splice(index, 1);
+
+        const indicator = this.app.scene.getObjectByName(this.indicator);
+        if (indicator) indicator.scale.copy(_indicatorScale);
+
+        this.setState(PlacementState.NONE);
+
+        this._controllers.forEach(controller => {
+
+            controller.removeEventListener('select', this.onSelect);
+
+        });
+
+        this._controllers = [];
+
+        this.instances.slice().forEach(instance => {
+
+            if (instance !== this.object) this.remove(instance);
+
+        });
+
+        this.instances.length = 0;
+        this.addMode = false;
+
+        setGroupVisibility(this.app.scene, this.placementGroup, false);
+        setGroupVisibility(this.app.scene, this.indicatorGroup, false);
+        setObjectVisibility(this.app.scene.getObjectByName(this.prompt), false);
+
+        if (this.object) {
+
+            this.object.position.set(0, 0, 0);
+            this.faceCamera(this.object);
+
+        }
+
+        this.select(this.object);
+
+    }
+
+    /**
+     * Set the product object, replacing the previous one among the placed
+     * instances
+     * @param {Object3D} object
+     */
+    setObject(object) {
+
+        const index = this.instances.indexOf(this.object);
+
+        if (index > -1) this.instances[index] = object;
+        if (this.selected === this.object) this.selected = object;
+
+        this.object = object;
+
+    }
+
+    onHit = (point, normal) => {
+
+        if (!this.active) return;
+
+        const smooth = this._hasHit ? MathUtils.clamp(this.smooth, 0, 1) : 0;
+
+        this.hitPoint.lerpVectors(point, this.hitPoint, smooth);
+        this.hitNormal.lerpVectors(normal, this.hitNormal, smooth).normalize();
+        this.surface = this.classifySurface(this.hitNormal);
+
+        this._hasHit = true;
+
+        if (!this._isPlaced()) this.setState(PlacementState.SURFACE_FOUND);
+
+        setGroupVisibility(this.app.scene, this.indicatorGroup, true);
+        setObjectVisibility(this.app.scene.getObjectByName(this.prompt), false);
+
+        const indicator = this.app.scene.getObjectByName(this.indicator);
+
+        if (indicator) {
+
+            setWorldPosition(indicator, this.hitPoint);
+            setWorldQuaternion(indicator, _tempQuaternion.setFromUnitVectors(_up, this.hitNormal));
+
+        }
+
+    };
+
+    onMiss = () => {
+
+        if (!this.active) return;
+
+        this._hasHit = false;
+
+        if (!this._isPlaced()) this.setState(PlacementState.SCANNING);
+
+        setGroupVisibility(this.app.scene, this.indicatorGroup, false);
+
+    };
+
+    /**
+     * Change the placement state and dispatch the 'stateChange' event
+     * @param {String} state One of PlacementState values
+     */
+    setState(state) {
+
+        if (state === this.state) return;
+
+        _stateChangeEvent.prevState = this.state;
+        _stateChangeEvent.state = state;
+        _stateChangeEvent.duration = this._stateTime;
+
+        this.state = state;
+        this._stateTime = 0;
+        this._guidanceShown = false;
+
+        this.dispatchEvent(_stateChangeEvent);
+
+    }
+
+    // Call when the user starts / stops moving a placed instance
+    setRepositioning(repositioning) {
+
+        if (!this.active || !this._isPlaced()) return;
+
+        this.setState(repositioning ? PlacementState.REPOSITIONING : PlacementState.PLACED);
+
+    }
+
+    // Time the state and animate the indicator
+    onRender = (delta, elapsed) => {
+
+        this._stateTime += delta;
+
+        if (!this._guidanceShown && this._stateTime > this.guidanceTimeout &&
+                (this.state === PlacementState.INITIALIZING || this.state === PlacementState.SCANNING)) {
+
+            this._guidanceShown = true;
+
+            _guidanceEvent.state = this.state;
+            this.dispatchEvent(_guidanceEvent);
+
+        }
+
+        const indicator = this.app.scene.getObjectByName(this.indicator);
+
+        if (!indicator) return;
+
+        let scale = 1;
+
+        if (this.surface !== this.mounting) {
+
+            // unsuitable surface: shrunk and still
+            scale = 0.6;
+
+        } else if (this.state === PlacementState.SURFACE_FOUND || this.addMode) {
+
+            // inviting to tap: pulsing
+            scale = 1 + 0.1 * Math.sin(elapsed * 2 * Math.PI);
+
+        } else if (this._isPlaced()) {
+
+            scale = 0.8;
+
+        }
+
+        indicator.scale.copy(_indicatorScale).multiplyScalar(scale);
+
+    };
+
+    /**
+     * Place the selected instance at the indicator, or a new instance in the
+     * add mode, if the surface suits the product mounting. Otherwise dispatch
+     * the 'reject' event
+     * @returns {Boolean} If the object was placed
+     */
+    place() {
+
+        if (!this.canPlace()) return false;
+
+        if (this.surface !== this.mounting) {
+
+            _rejectEvent.surface = this.surface;
+            this.dispatchEvent(_rejectEvent);
+            return false;
+
+        }
+
+        let object = this.selected;
+
+        if (this.addMode || this.instances.indexOf(object) === -1) {
+
+            object = this.add();
+            if (object === null) return false;
+
+        }
+
+        this.placeObject(object);
+
+        return true;
+
+    }
+
+    /**
+     * Move the object to the indicator regardless of the surface type
+     * @param {Object3D} object
+     */
+    placeObject(object) {
+
+        // the parts of the object were hidden along with the placement group
+        object.traverse(obj => {
+
+            if (obj === object || (obj.groupNames && obj.groupNames.indexOf(this.placementGroup) > -1))
+                setObjectVisibility(obj, true);
+
+        });
+
+        setWorldPosition(object, this.hitPoint);
+
+        if (this.mounting === 'wall') {
+
+            // Back side against the wall, keeping the object upright
+            _tempVector.copy(this.hitNormal).setY(0).normalize();
+            setWorldQuaternion(object, _tempQuaternion.setFromUnitVectors(_unitZ, _tempVector));
+
+        } else {
+
+            this.faceCamera(object);
+
+        }
+
+        if (this.active) this.setState(PlacementState.PLACED);
+
+        _placeEvent.object = object;
+        this.dispatchEvent(_placeEvent);
+
+    }
+
+    /**
+     * Add a new instance: the product object if it's not placed yet or its copy
+     * @param {Boolean} copy Always add a copy of the product object
+     * @returns {Object3D} The new instance or null if the limit is reached
+     */
+    add(copy = false) {
+
+        this.addMode = false;
+
+        if (this.instances.length >= this.maxInstances) {
+
+            this.dispatchEvent(_limitEvent);
+            return null;
+
+        }
+
+        let object = this.object;
+
+        if (copy || this.instances.indexOf(object) > -1) {
+
+            object = cloneInstance(this.object);
+            this.app.scene.add(object);
+
+        }
+
+        this.instances.push(object);
+
+        _addEvent.object = object;
+        this.dispatchEvent(_addEvent);
+
+        this.select(object);
+
+        return object;
+
+    }
+
+    /**
+     * Remove the instance: dispose the copy or just hide the product object
+     * @param {Object3D} object
+     */
+    remove(object) {
+
+        const index = this.instances.indexOf(object);
+
+        if (index === -1) return;
+
+        this.instances.splice(index, 1);
+
+        if (object === this.object) {
+
+            setObjectVisibility(object, false);
+
+        } else {
+
+            // geometries and materials are shared with the product object
+            object.removeFromParent();
+
+        }
+
+        _removeEvent.object = object;
+        this.dispatchEvent(_removeEvent);
+
+        if (this.active && !this._isPlaced()) {
+
+            this.setState(this._hasHit ? PlacementState.SURFACE_FOUND : PlacementState.SCANNING);
+
+        }
+
+        if (this.selected === object) {
+
+            this.select(this.instances.length ? this.instances[this.instances.length - 1] : this.object);
+
+        }
+
+    }
+
+    removeSelected() {
+
+        if (this.selected) this.remove(this.selected);
+
+    }
+
+    // If the indicator is on a surface and instances can be placed
+    canPlace() {
+
+        return this.active && this._hasHit && this.object !== null;
+
+    }
+
+    select(object) {
+
+        this.selected = object;
+
+        _selectEvent.object = object;
+        this.dispatchEvent(_selectEvent);
+
+    }
+
+    // Select the instance tapped in the AR session, tapping the indicator places one
+    onSelect = (event) => {
+
+        const controller = event.target;
+
+        _tempMatrix.identity().extractRotation(controller.matrixWorld);
+        _raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        _raycaster.ray.direction.set(0, 0, -1).applyMatrix4(_tempMatrix);
+
+        const intersects = _raycaster.intersectObjects(this.instances, true);
+
+        if (intersects.length === 0) {
+
+            const indicator = this.app.scene.getObjectByName(this.indicator);
+
+            if (indicator && indicator.visible && _raycaster.intersectObject(indicator, true).length > 0)
+                this.place();
+
+            return;
+
+        }
+
+        const instance = this.instances.find(instance => {
+
+            let found = false;
+
+            instance.traverse(obj => {
+
+                if (obj === intersects[0].object) found = true;
+
+            });
+
+            return found;
+
+        });
+
+        if (instance && instance !== this.selected) this.select(instance);
+
+    };
+
+    _isPlaced() {
+
+        return this.instances.length > 0;
+
+    }
+
+    /**
+     * Classify the surface by the angle between its normal and the world up axis
+     * @param {Vector3} normal
+     * @returns {String} 'floor', 'wall' or 'slope'
+     */
+    classifySurface(normal) {
+
+        const slope = normal.angleTo(_up);
+
+        if (slope <= this.maxFloorSlope) return 'floor';
+        if (slope >= this.minWallSlope && slope <= Math.PI - this.minWallSlope) return 'wall';
+        return 'slope';
+
+    }
+
+    // Rotate the object around the world up axis, so it faces the camera
+    faceCamera(object) {
+
+        const camera = this.app.getCamera(true);
+
+        camera.getWorldPosition(_tempVector);
+        object.getWorldPosition(_tempVector2);
+        _tempVector.sub(_tempVector2).setY(0);
+
+        if (_tempVector.lengthSq() === 0) return;
+
+        setWorldQuaternion(object, _tempQuaternion.setFromAxisAngle(_up,
+                Math.atan2(_tempVector.x, _tempVector.z)));
+
+    }
+
+}
+
+// Copy the object without annotations, which are bound to the DOM elements of the original
+function cloneInstance(object) {
+
+    const clone = object.clone();
+    const annotations = [];
+
+    clone.traverse(function(obj) {
+
+        if (obj.isAnnotation) annotations.push(obj);
+
+    });
+
+    annotations.forEach(function(annotation) {
+
+        annotation.removeFromParent();
+        annotation.dispose();
+
+    });
+
+    return clone;
+
+}
+
+function setWorldPosition(object, position) {
+
+    object.position.copy(position);
+
+    if (object.parent) {
+
+        object.parent.updateMatrixWorld();
+        object.parent.worldToLocal(object.position);
+
+    }
+
+    object.updateMatrixWorld(true);
+
+}
+
+function setWorldQuaternion(object, quaternion) {
+
+    object.quaternion.copy(quaternion);
+
+    if (object.parent) {
+
+        object.parent.updateMatrixWorld();
+        object.parent.matrixWorld.decompose(_tempVector2, _parentQuaternion, _tempVector2);
+        object.quaternion.premultiply(_parentQuaternion.invert());
+
+    }
+
+    object.updateMatrixWorld(true);
+
+}
+
+function setObjectVisibility(object, visible) {
+
+    if (!object) return;
+
+    object.visible = visible;
+
+    // also affect children auto-generated for multi-material objects
+    object.resolveMultiMaterial().forEach(function(obj) {
+
+        obj.visible = visible;
+
+    });
+
+}
+
+function setGroupVisibility(scene, groupName, visible) {
+
+    if (!groupName) return;
+
+    scene.traverse(function(obj) {
+
+        if (obj.groupNames && obj.groupNames.indexOf(groupName) > -1) {
+
+            setObjectVisibility(obj, visible);
+
+        }
+
+    });
+
+}
+
+export { ARPlacement, PlacementState, setGroupVisibility, setObjectVisibility, setWorldPosition, setWorldQuaternion };
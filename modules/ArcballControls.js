@@ -70,6 +70,13 @@ const _offset = new Vector3();
 const _gizmoMatrixStateTemp = new Matrix4();
 const _cameraMatrixStateTemp = new Matrix4();
 const _scalePointTemp = new Vector3();
+const _cameraMatrixEndTemp = new Matrix4();
+const _gizmoMatrixEndTemp = new Matrix4();
+const _animPosition = new Vector3();
+const _animPositionEnd = new Vector3();
+const _animQuaternion = new Quaternion();
+const _animQuaternionEnd = new Quaternion();
+const _animScale = new Vector3();
 /**
  *
  * @param {Camera} camera Virtual camera used in the scene
@@ -2383,6 +2390,139 @@ class ArcballControls extends EventDispatcher {
 
     };
 
+    /**
+     * Smoothly move the camera to the given position looking at the target, which becomes the new center of rotation
+     * @param {Vector3} position Final camera position
+     * @param {Vector3} target Final center of rotation
+     */
+    animateTo = (position, target) => {
+
+        if (!this.enabled) return;
+
+        if (this._animationId != -1) {
+
+            window.cancelAnimationFrame(this._animationId);
+
+        }
+
+        this.dispatchEvent(_startEvent);
+
+        const cameraMatrixEnd = _cameraMatrixEndTemp.lookAt(position, target, this.camera.up).setPosition(position).clone();
+        const gizmoMatrixEnd = _gizmoMatrixEndTemp.compose(target, this._gizmos.quaternion, this._gizmos.scale).clone();
+
+        //keep update() from moving the gizmos back to the previous target
+        this.target.copy(target);
+        this._currentTarget.copy(target);
+
+        if (this.enableAnimations) {
+
+            const self = this;
+            const cameraMatrixStart = this.camera.matrix.clone();
+            const gizmoMatrixStart = this._gizmos.matrix.clone();
+
+            this._timeStart = -1;
+            this._animationId = window.requestAnimationFrame(function(t) {
+
+                self.updateTbState(STATE.ANIMATION_FOCUS, true);
+                self.onTransitionAnim(t, cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd);
+
+            });
+
+        } else {
+
+            this.updateTbState(STATE.FOCUS, true);
+            this.setTransitionState(cameraMatrixEnd, cameraMatrixEnd, gizmoMatrixEnd, gizmoMatrixEnd, 1);
+            this.updateTbState(STATE.IDLE, false);
+            this.dispatchEvent(_changeEvent);
+            this.dispatchEvent(_endEvent);
+
+        }
+
+    };
+
+    /**
+     * Perform animation for the transition started by animateTo
+     * @param {Number} time Instant in which this function is called as performance.now()
+     * @param {Matrix4} cameraMatrixStart Camera matrix at the animation start
+     * @param {Matrix4} cameraMatrixEnd Camera matrix at the animation end
+     * @param {Matrix4} gizmoMatrixStart Gizmos matrix at the animation start
+     * @param {Matrix4} gizmoMatrixEnd Gizmos matrix at the animation end
+     */
+    onTransitionAnim = (time, cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd) => {
+
+        if (this._timeStart == -1) {
+
+            //animation start
+            this._timeStart = time;
+
+        }
+
+        if (this._state == STATE.ANIMATION_FOCUS) {
+
+            const deltaTime = time - this._timeStart;
+            const animTime = deltaTime / this.focusAnimationTime;
+
+            if (animTime >= 1) {
+
+                //animation end
+                this.setTransitionState(cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd, 1);
+
+                this._timeStart = -1;
+                this._animationId = -1;
+                this.updateTbState(STATE.IDLE, false);
+
+                this.dispatchEvent(_changeEvent);
+                this.dispatchEvent(_endEvent);
+
+            } else {
+
+                this.setTransitionState(cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd, this.easeOutCubic(animTime));
+
+                this.dispatchEvent(_changeEvent);
+                const self = this;
+                this._animationId = window.requestAnimationFrame(function(t) {
+
+                    self.onTransitionAnim(t, cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd);
+
+                });
+
+            }
+
+        } else {
+
+            //interrupt animation
+
+            this._animationId = -1;
+            this._timeStart = -1;
+
+        }
+
+    };
+
+    /**
+     * Interpolate the camera and gizmos between two states
+     * @param {Number} amount Interpolation factor, 0 for the start state, 1 for the end state
+     */
+    setTransitionState = (cameraMatrixStart, cameraMatrixEnd, gizmoMatrixStart, gizmoMatrixEnd, amount) => {
+
+        cameraMatrixStart.decompose(_animPosition, _animQuaternion, _animScale);
+        cameraMatrixEnd.decompose(_animPositionEnd, _animQuaternionEnd, _animScale);
+
+        this.camera.position.lerpVectors(_animPosition, _animPositionEnd, amount);
+        this.camera.quaternion.slerpQuaternions(_animQuaternion, _animQuaternionEnd, amount);
+        this.camera.updateMatrix();
+
+        gizmoMatrixStart.decompose(_animPosition, _animQuaternion, _animScale);
+        gizmoMatrixEnd.decompose(_animPositionEnd, _animQuaternionEnd, _animScale);
+
+        this._gizmos.position.lerpVectors(_animPosition, _animPositionEnd, amount);
+        this._gizmos.updateMatrix();
+
+        this.updateMatrixState();
+        this._tbRadius = this.calculateTbRadius(this.camera);
+
+    };
+
     /**
      * Perform animation for rotation operation
      * @param {Number} time Instant in which this function is called as performance.now()
@@ -0,0 +1,174 @@
+import {
+    Box3,
+    CanvasTexture,
+    Matrix4,
+    Mesh,
+    MeshBasicMaterial,
+    PlaneGeometry,
+    Vector3
+} from '../v3d.module.js';
+
+const _box = new Box3();
+const _meshBox = new Box3();
+const _inverseMatrix = new Matrix4();
+const _matrix = new Matrix4();
+const _size = new Vector3();
+const _center = new Vector3();
+
+/**
+ * Soft contact shadows under the objects placed in AR. The shadow is a
+ * transparent plane with a blurred dark spot matching the object footprint,
+ * added as a child of the object so that it follows its translation, rotation
+ * and scale. Floor products cast the shadow under the object, wall products
+ * behind it.
+ *
+ * @param {Object} options Shadow opacity, footprint margin and offset from the surface
+ */
+class ContactShadows {
+
+    constructor(options = {}) {
+
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.6;
+        this.margin = options.margin !== undefined ? options.margin : 1.2;
+        this.offset = options.offset !== undefined ? options.offset : 0.002;
+
+        this.geometry = new PlaneGeometry(1, 1);
+        this.material = new MeshBasicMaterial({
+            color: 0x000000,
+            map: createShadowTexture(),
+            transparent: true,
+            opacity: this.opacity,
+            depthWrite: false
+        });
+
+        this._shadows = new Map();  // object -> shadow mesh
+
+    }
+
+    /**
+     * Add the shadow to the object or fit the existing one to its footprint
+     * @param {Object3D} object
+     * @param {String} mounting 'floor' or 'wall'
+     */
+    attach(object, mounting = 'floor') {
+
+        this.detach(object);
+
+        // copies of placed objects inherit the shadow of the original
+        object.children.filter(child => child.userData.isContactShadow).forEach(child => {
+
+            child.removeFromParent();
+
+        });
+
+        if (!getLocalBox(object, _box)) return;
+
+        _box.getSize(_size);
+        _box.getCenter(_center);
+
+        const shadow = new Mesh(this.geometry, this.material);
+        shadow.name = object.name + '_CONTACT_SHADOW';
+        shadow.userData.isContactShadow = true;
+        shadow.renderOrder = -1;
+
+        // not pickable, taps should reach the object or the surface behind
+        shadow.raycast = function() {};
+
+        if (mounting === 'wall') {
+
+            shadow.position.set(_center.x, _center.y, _box.min.z + this.offset);
+            shadow.scale.set(_size.x * this.margin, _size.y * this.margin, 1);
+
+        } else {
+
+            shadow.position.set(_center.x, _box.min.y + this.offset, _center.z);
+            shadow.rotation.x = -Math.PI / 2;
+            shadow.scale.set(_size.x * this.margin, _size.z * this.margin, 1);
+
+        }
+
+        object.add(shadow);
+        shadow.updateMatrixWorld();
+
+        this._shadows.set(object, shadow);
+
+    }
+
+    detach(object) {
+
+        const shadow = this._shadows.get(object);
+
+        if (!shadow) return;
+
+        shadow.removeFromParent();
+        this._shadows.delete(object);
+
+    }
+
+    // Remove all shadows, e.g. when leaving AR
+    clear() {
+
+        this._shadows.forEach((shadow, object) => this.detach(object));
+
+    }
+
+    dispose() {
+
+        this.clear();
+
+        this.geometry.dispose();
+        this.material.map.dispose();
+        this.material.dispose();
+
+    }
+
+}
+
+// Radial gradient from the dark center to the transparent edge
+function createShadowTexture(size = 128) {
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0,
+            size / 2, size / 2, size / 2);
+
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+
+    // the material color is black, the texture only modulates the opacity
+    return new CanvasTexture(canvas);
+
+}
+
+// Bounding box of the object meshes in the object's own space
+function getLocalBox(object, box) {
+
+    box.makeEmpty();
+
+    object.updateMatrixWorld(true);
+    _inverseMatrix.copy(object.matrixWorld).invert();
+
+    object.traverse(function(obj) {
+
+        if (!obj.isMesh || obj.userData.isContactShadow) return;
+
+        const geometry = obj.geometry;
+
+        if (geometry.boundingBox === null) geometry.computeBoundingBox();
+
+        _matrix.multiplyMatrices(_inverseMatrix, obj.matrixWorld);
+        box.union(_meshBox.copy(geometry.boundingBox).applyMatrix4(_matrix));
+
+    });
+
+    return !box.isEmpty();
+
+}
+
+export { ContactShadows };
@@ -0,0 +1,132 @@
+/**
+ * Allow-list HTML sanitizer for the content rendered as HTML, e.g. annotation
+ * dialogs built from data files or URLs. Elements not in the list are
+ * removed together with their content if they can run code or load other
+ * documents (script, iframe...), otherwise they are replaced by their
+ * children. Attributes not in the list, including all event handlers, are
+ * dropped, URLs are restricted to http(s), mailto and relative ones. Links
+ * opened in a new tab get rel="noopener noreferrer".
+ */
+
+const ALLOWED_TAGS = {
+    'A': ['href', 'target', 'title'],
+    'B': [],
+    'BR': [],
+    'BUTTON': ['data-action', 'data-target', 'type'],
+    'DIV': [],
+    'EM': [],
+    'I': [],
+    'IMG': ['src', 'alt', 'width', 'height'],
+    'LI': [],
+    'OL': [],
+    'P': [],
+    'SPAN': [],
+    'STRONG': [],
+    'TABLE': [],
+    'TBODY': [],
+    'TD': ['colspan'],
+    'TH': ['colspan'],
+    'THEAD': [],
+    'TR': [],
+    'U': [],
+    'UL': [],
+    'VIDEO': ['src', 'poster', 'controls', 'muted', 'playsinline', 'preload', 'loop']
+};
+
+// allowed on any element
+const GLOBAL_ATTRIBUTES = ['class', 'dir', 'lang'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH'];
+
+/**
+ * @param {String} html Untrusted HTML
+ * @returns {String} HTML with the allowed elements and attributes only
+ */
+function sanitizeHTML(html) {
+
+    // template content is inert: scripts don't run, images don't load
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+
+    sanitizeNode(template.content);
+
+    return template.innerHTML;
+
+}
+
+/**
+ * @param {String} url
+ * @returns {String} The URL if its scheme is allowed, '#' otherwise
+ */
+function sanitizeURL(url) {
+
+    url = String(url || '');
+
+    // strip control characters and whitespace browsers ignore in schemes, e.g. "java\tscript:"
+    const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (scheme && ['http', 'https', 'mailto'].indexOf(scheme[1].toLowerCase()) === -1)
+        return '#';
+
+    return url;
+
+}
+
+function sanitizeNode(node) {
+
+    Array.from(node.childNodes).forEach(child => {
+
+        if (child.nodeType === Node.TEXT_NODE) return;
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+
+            child.remove();
+            return;
+
+        }
+
+        const tag = child.tagName.toUpperCase();
+
+        if (DROPPED_TAGS.indexOf(tag) > -1) {
+
+            child.remove();
+            return;
+
+        }
+
+        sanitizeNode(child);
+
+        if (!(tag in ALLOWED_TAGS)) {
+
+            child.replaceWith(...child.childNodes);
+            return;
+
+        }
+
+        sanitizeAttributes(child, ALLOWED_TAGS[tag]);
+
+    });
+
+}
+
+function sanitizeAttributes(element, allowed) {
+
+    Array.from(element.attributes).forEach(attribute => {
+
+        const name = attribute.name.toLowerCase();
+
+        if (allowed.indexOf(name) === -1 && GLOBAL_ATTRIBUTES.indexOf(name) === -1)
+            element.removeAttribute(attribute.name);
+        else if (URL_ATTRIBUTES.indexOf(name) > -1)
+            element.setAttribute(name, sanitizeURL(attribute.value));
+
+    });
+
+    if ((element.getAttribute('target') || '').toLowerCase() === '_blank')
+        element.setAttribute('rel', 'noopener noreferrer');
+
+}
+
+export { sanitizeHTML, sanitizeURL };
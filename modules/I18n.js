@@ -0,0 +1,207 @@
+// languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// translated fields of the annotations, their content blocks and list items
+const ANNOTATION_TEXT_FIELDS = ['title', 'body', 'viewText', 'text', 'alt', 'label', 'value'];
+
+/**
+ * Localization of the UI text, warnings and annotations. Each locale has a
+ * JSON bundle of strings by key, missing strings fall back to the default
+ * locale bundle and then to the text given by the caller:
+ * {
+ *     "strings": {
+ *         "splash.title": "AR-Demo",
+ *         "parts.door": "Tür",
+ *         "annotations.an_1.title": "Tür",
+ *         "annotations.an_1.intro.text": "...",
+ *         "annotations.an_3.specs.capacity.label": "Fassungsvermögen"
+ *     }
+ * }
+ *
+ * The annotation manifest keeps the structure of the annotations, their text
+ * fields (title, text, alt, label...) are translated by the key made of the
+ * annotation id, the ids of the content blocks and list items containing the
+ * field and the field name. Blocks and items without an id, URLs and other
+ * fields are not translated.
+ *
+ * Strings may contain {name} placeholders filled with the given values, e.g.
+ * "announce.scaled": "Scaled to {percent}%".
+ *
+ * Page elements are translated by their attributes: data-i18n (text),
+ * data-i18n-title, data-i18n-alt and data-i18n-label (aria-label).
+ *
+ * @param {Object} options Supported locales and the default one, e.g.
+ * { "default": "en", "locales": ["en", "de", "ar"] }
+ */
+class I18n {
+
+    constructor(options = {}) {
+
+        this.defaultLocale = options.default || 'en';
+        this.locales = options.locales || [this.defaultLocale];
+
+        this.locale = this.defaultLocale;
+
+        this._bundles = new Map();  // locale -> bundle
+
+    }
+
+    /**
+     * Pick the supported locale, the requested one goes first, then the
+     * browser languages
+     * @param {String} requested e.g. the "lang" page param
+     * @returns {String}
+     */
+    detect(requested = null) {
+
+        const candidates = [];
+
+        if (requested) candidates.push(requested);
+        candidates.push(...(navigator.languages || [navigator.language]));
+
+        for (const candidate of candidates) {
+
+            const locale = this._match(candidate);
+            if (locale) return locale;
+
+        }
+
+        return this.defaultLocale;
+
+    }
+
+    setBundle(locale, bundle) {
+
+        this._bundles.set(locale, bundle || {});
+
+    }
+
+    setLocale(locale) {
+
+        this.locale = locale;
+
+    }
+
+    // Text direction of the current locale
+    get dir() {
+
+        return RTL_LANGUAGES.indexOf(this.locale.split('-')[0]) > -1 ? 'rtl' : 'ltr';
+
+    }
+
+    /**
+     * @param {String} key
+     * @param {String} fallback Text used when no bundle has the key
+     * @param {Object} values Values of the placeholders by name
+     * @returns {String}
+     */
+    t(key, fallback = key, values = null) {
+
+        let text = this._getString(this.locale, key);
+        if (text === undefined) text = this._getString(this.defaultLocale, key);
+        if (text === undefined) text = fallback;
+
+        if (values === null) return text;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+
+    }
+
+    /**
+     * @param {Object} entry Annotation manifest entry
+     * @returns {Object} Copy of the entry with the translated strings
+     */
+    localizeAnnotation(entry) {
+
+        return this._localizeItem(entry, 'annotations.' + entry.id);
+
+    }
+
+    /**
+     * Translate the marked page elements, set the document language and
+     * direction
+     * @param {Element} root
+     */
+    translatePage(root = document.body) {
+
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.dir;
+
+        root.querySelectorAll('[data-i18n]').forEach(elem => {
+
+            elem.textContent = this.t(elem.dataset.i18n, elem.textContent);
+
+        });
+
+        root.querySelectorAll('[data-i18n-title]').forEach(elem => {
+
+            elem.title = this.t(elem.dataset.i18nTitle, elem.title);
+
+        });
+
+        root.querySelectorAll('[data-i18n-alt]').forEach(elem => {
+
+            elem.alt = this.t(elem.dataset.i18nAlt, elem.alt);
+
+        });
+
+        root.querySelectorAll('[data-i18n-label]').forEach(elem => {
+
+            elem.setAttribute('aria-label', this.t(elem.dataset.i18nLabel, elem.getAttribute('aria-label')));
+
+        });
+
+    }
+
+    _localizeItem(item, key) {
+
+        const localized = Object.assign({}, item);
+
+        Object.keys(item).forEach(name => {
+
+            const value = item[name];
+
+            if (typeof value === 'string' && ANNOTATION_TEXT_FIELDS.indexOf(name) > -1) {
+
+                localized[name] = this.t(key + '.' + name, value);
+
+            } else if (Array.isArray(value)) {
+
+                localized[name] = value.map(child => {
+
+                    const hasId = child !== null && typeof child === 'object' && child.id !== undefined;
+                    return hasId ? this._localizeItem(child, key + '.' + child.id) : child;
+
+                });
+
+            }
+
+        });
+
+        return localized;
+
+    }
+
+    _getString(locale, key) {
+
+        const bundle = this._bundles.get(locale);
+        return bundle && bundle.strings ? bundle.strings[key] : undefined;
+
+    }
+
+    // Supported locale for the language tag, e.g. "de-AT" -> "de"
+    _match(tag) {
+
+        tag = tag.toLowerCase();
+
+        const exact = this.locales.find(locale => locale.toLowerCase() === tag);
+        if (exact) return exact;
+
+        const language = tag.split('-')[0];
+        return this.locales.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+
+    }
+
+}
+
+export { I18n };
@@ -0,0 +1,188 @@
+import {
+    Matrix4,
+    Quaternion,
+    Vector3
+} from '../v3d.module.js';
+
+import { setWorldPosition, setWorldQuaternion } from './ARPlacement.js';
+
+const _baseMatrix = new Matrix4();
+const _matrix = new Matrix4();
+const _position = new Vector3();
+const _quaternion = new Quaternion();
+const _entryQuaternion = new Quaternion();
+const _scale = new Vector3();
+const _unitScale = new Vector3(1, 1, 1);
+
+/**
+ * Saves the layout of the instances placed in AR to the local storage, so it
+ * can be restored in the next session. Instances are stored relative to the
+ * first one, because the AR world origin differs between sessions, e.g:
+ * {
+ *     "version": 1,
+ *     "instances": [
+ *         { "product": "truck", "configuration": null,
+ *           "position": [0, 0, 0], "quaternion": [0, 0, 0, 1], "scale": [1, 1, 1] }
+ *     ]
+ * }
+ *
+ * @param {ARPlacement} placement
+ * @param {ProductCatalog} catalog
+ * @param {String} key Local storage key
+ */
+class LayoutStorage {
+
+    constructor(placement, catalog, key = 'ARDemo.layout') {
+
+        this.placement = placement;
+        this.catalog = catalog;
+        this.key = key;
+
+    }
+
+    /**
+     * Save the placed instances, keeps the previous layout if nothing is placed
+     * @returns {Boolean} If the layout was saved
+     */
+    save() {
+
+        const instances = this.placement.instances;
+
+        if (instances.length === 0) return false;
+
+        // frame of the first instance without scale
+        instances[0].matrixWorld.decompose(_position, _quaternion, _scale);
+        _baseMatrix.compose(_position, _quaternion, _unitScale).invert();
+
+        const layout = {
+            version: 1,
+            instances: instances.map(instance => {
+
+                _matrix.multiplyMatrices(_baseMatrix, instance.matrixWorld);
+                _matrix.decompose(_position, _quaternion, _scale);
+
+                return {
+                    product: this._getProductId(instance),
+                    configuration: instance.userData.configuration || null,
+                    position: _position.toArray(),
+                    quaternion: _quaternion.toArray(),
+                    scale: instance.scale.toArray()
+                };
+
+            })
+        };
+
+        try {
+
+            localStorage.setItem(this.key, JSON.stringify(layout));
+
+        } catch (e) {
+
+            console.log(`LayoutStorage: Can't save the layout: ${e.message}`);
+            return false;
+
+        }
+
+        return true;
+
+    }
+
+    /**
+     * @returns {Object} The saved layout or null
+     */
+    load() {
+
+        let layout = null;
+
+        try {
+
+            layout = JSON.parse(localStorage.getItem(this.key));
+
+        } catch (e) {
+
+            console.log(`LayoutStorage: Can't load the layout: ${e.message}`);
+
+        }
+
+        if (!layout || layout.version !== 1 || !Array.isArray(layout.instances) ||
+                layout.instances.length === 0) return null;
+
+        return layout;
+
+    }
+
+    clear() {
+
+        try {
+
+            localStorage.removeItem(this.key);
+
+        } catch (e) {}
+
+    }
+
+    /**
+     * Replace the placed instances with the saved layout, the first instance is
+     * placed at the indicator
+     * @param {Object} layout Layout returned by load()
+     * @returns {Promise<Boolean>} If the layout was restored
+     */
+    async restore(layout) {
+
+        const placement = this.placement;
+
+        if (!layout || !placement.canPlace()) return false;
+
+        placement.instances.slice().forEach(instance => placement.remove(instance));
+
+        let first = true;
+
+        for (const entry of layout.instances) {
+
+            if (!this.catalog.getProduct(entry.product)) continue;
+
+            await this.catalog.select(entry.product);
+
+            const object = placement.add(true);
+
+            if (object === null) break;
+
+            object.userData.configuration = entry.configuration;
+
+            if (first) {
+
+                first = false;
+
+                placement.placeObject(object);
+                object.matrixWorld.decompose(_position, _quaternion, _scale);
+                _baseMatrix.compose(_position, _quaternion, _unitScale);
+
+            } else {
+
+                _position.fromArray(entry.position).applyMatrix4(_baseMatrix);
+                setWorldPosition(object, _position);
+
+                _baseMatrix.decompose(_scale, _quaternion, _scale);
+                _quaternion.multiply(_entryQuaternion.fromArray(entry.quaternion));
+                setWorldQuaternion(object, _quaternion);
+
+            }
+
+            object.scale.fromArray(entry.scale);
+            object.updateMatrixWorld(true);
+
+        }
+
+        return true;
+
+    }
+
+    _getProductId(instance) {
+
+        return instance.userData.productId || this.catalog.activeProduct.id;
+
+    }
+
+}
+
+export { LayoutStorage };
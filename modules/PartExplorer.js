@@ -0,0 +1,238 @@
+import {
+    EventDispatcher,
+    MathUtils,
+    Vector3
+} from '../v3d.module.js';
+
+import { setObjectVisibility } from './ARPlacement.js';
+
+const _changeEvent = { type: 'change' };
+
+const _explode = new Vector3();
+
+/**
+ * Explode view and visibility of the product parts. Parts are listed in a
+ * manifest, each part consists of one or more objects of the product moved
+ * along the explode vector (in the space of the object's parent), e.g:
+ * {
+ *     "parts": [
+ *         { "id": "door", "name": "Door", "objects": ["Door"], "explode": [1.5, 0, 0] },
+ *         { "id": "wheels", "name": "Wheels", "objects": ["Wheel_FL", "Wheel_FR"], "explode": [0, -0.5, 0] }
+ *     ]
+ * }
+ *
+ * Objects are looked up within the explored product object, so the feature
+ * works for the product shown in the 3D view as well as for its copies in AR.
+ *
+ * @param {App} app Verge3D application
+ * @param {Object} manifest Parts description
+ */
+class PartExplorer extends EventDispatcher {
+
+    constructor(app, manifest = {}) {
+
+        super();
+
+        this.app = app;
+        this.parts = manifest.parts || [];
+
+        this.object = null;             // explored product object
+        this.explodeDuration = 0.8;     // seconds
+
+        this.exploded = false;
+        this.hidden = new Set();        // ids of the hidden parts
+
+        this._explodeFactor = 0;
+        this._animating = false;
+        this._partObjects = new Map();  // part id -> [{ object, position }]
+
+    }
+
+    /**
+     * Explore another product object, the previous one is assembled back and
+     * all its parts are shown
+     * @param {Object3D} object
+     */
+    setObject(object) {
+
+        if (object === this.object) return;
+
+        this._explodeFactor = 0;
+        this._update();
+        this._partObjects.forEach(entries => entries.forEach(entry => {
+
+            setObjectVisibility(entry.object, true);
+
+        }));
+
+        this.object = object;
+        this.exploded = false;
+        this.hidden.clear();
+        this._partObjects.clear();
+
+        this._stopAnimation();
+
+        if (!object) return;
+
+        this.parts.forEach(part => {
+
+            const entries = [];
+
+            (part.objects || []).forEach(name => {
+
+                const partObject = object.getObjectByName(name);
+
+                if (partObject) {
+
+                    entries.push({ object: partObject, position: partObject.position.clone() });
+
+                } else {
+
+                    console.warn(`PartExplorer: Object "${name}" not found for part "${part.id}"`);
+
+                }
+
+            });
+
+            this._partObjects.set(part.id, entries);
+
+        });
+
+        this.dispatchEvent(_changeEvent);
+
+    }
+
+    /**
+     * Assemble the copy of the explored object and show all its parts, the
+     * copy takes the explode offsets and hidden parts of its source otherwise
+     * @param {Object3D} copy
+     * @param {Object3D} source The copied object
+     */
+    resetCopy(copy, source) {
+
+        if (source !== this.object) return;
+
+        this._partObjects.forEach(entries => entries.forEach(entry => {
+
+            const partObject = copy.getObjectByName(entry.object.name);
+
+            if (!partObject) return;
+
+            partObject.position.copy(entry.position);
+            setObjectVisibility(partObject, true);
+
+        }));
+
+        copy.updateMatrixWorld(true);
+
+    }
+
+    getPart(id) {
+
+        return this.parts.find(part => part.id === id) || null;
+
+    }
+
+    /**
+     * Animate the parts outward or back
+     * @param {Boolean} exploded
+     */
+    setExploded(exploded) {
+
+        this.exploded = exploded;
+        this._animating = true;
+
+        if (this.app.renderCallbacks.indexOf(this.onRender) === -1)
+            this.app.renderCallbacks.push(this.onRender);
+
+        this.dispatchEvent(_changeEvent);
+
+    }
+
+    toggleExploded() {
+
+        this.setExploded(!this.exploded);
+
+    }
+
+    setPartVisible(id, visible) {
+
+        const entries = this._partObjects.get(id);
+
+        if (!entries) return;
+
+        entries.forEach(entry => setObjectVisibility(entry.object, visible));
+
+        if (visible)
+            this.hidden.delete(id);
+        else
+            this.hidden.add(id);
+
+        this.dispatchEvent(_changeEvent);
+
+    }
+
+    togglePart(id) {
+
+        this.setPartVisible(id, this.hidden.has(id));
+
+    }
+
+    // Show the part only
+    isolate(id) {
+
+        this.parts.forEach(part => this.setPartVisible(part.id, part.id === id));
+
+    }
+
+    showAll() {
+
+        this.parts.forEach(part => this.setPartVisible(part.id, true));
+
+    }
+
+    onRender = (delta) => {
+
+        if (!this._animating) return;
+
+        const step = this.explodeDuration > 0 ? delta / this.explodeDuration : 1;
+        const target = this.exploded ? 1 : 0;
+
+        this._explodeFactor = MathUtils.clamp(this._explodeFactor + (this.exploded ? step : -step), 0, 1);
+        this._update();
+
+        if (this._explodeFactor === target) this._stopAnimation();
+
+    };
+
+    _update() {
+
+        // ease in and out
+        const amount = MathUtils.smoothstep(this._explodeFactor, 0, 1);
+
+        this.parts.forEach(part => {
+
+            _explode.fromArray(part.explode || [0, 0, 0]);
+
+            (this._partObjects.get(part.id) || []).forEach(entry => {
+
+                entry.object.position.copy(entry.position).addScaledVector(_explode, amount);
+                entry.object.updateMatrixWorld(true);
+
+            });
+
+        });
+
+    }
+
+    // The callback stays registered, removing it while the app iterates the
+    // render callbacks would skip the next one
+    _stopAnimation() {
+
+        this._animating = false;
+
+    }
+
+}
+
+export { PartExplorer };
@@ -0,0 +1,273 @@
+import {
+    EventDispatcher
+} from '../v3d.module.js';
+
+const _changeEvent = { type: 'change', product: null, object: null };
+
+/**
+ * Catalog of products which can be placed in the running app. A product either
+ * ships with the main scene (no "url") or is appended from its own glTF/GLB
+ * file on demand. Only one product is active at a time. "trueScale" is the
+ * object scale matching real-world dimensions and "scaleLimits" limit user
+ * scaling relative to it. "mounting" is either "floor" (default) or "wall" for
+ * products placed on walls in AR. "variants" lists material options, see
+ * VariantConfigurator. "usdz" is the pre-built model opened by
+ * Quick Look on iOS, either a single file or a map of files by the variant
+ * (with the "default" entry). Appended products stay loaded while their
+ * copies are in use (see retain/release), e.g:
+ * {
+ *     "placementGroup": "truck_group",
+ *     "products": [
+ *         { "id": "truck", "name": "Truck", "object": "Truck", "trueScale": 1, "scaleLimits": [0.05, 2] },
+ *         { "id": "van", "name": "Van", "url": "products/Van.glb", "object": "Van",
+ *           "usdz": { "default": "products/Van.usdz", "red": "products/Van_red.usdz" } }
+ *     ]
+ * }
+ *
+ * @param {App} app Verge3D application
+ * @param {Object} manifest Catalog description
+ */
+class ProductCatalog extends EventDispatcher {
+
+    constructor(app, manifest = {}) {
+
+        super();
+
+        this.app = app;
+        this.products = manifest.products || [];
+
+        // objects of the active product are added to this group, so that
+        // puzzles showing/hiding it keep working for any product
+        this.placementGroup = manifest.placementGroup || null;
+
+        this.activeProduct = null;
+        this.activeObject = null;
+
+        this._scenes = new Map();       // appended scenes by product id
+        this._useCounts = new Map();    // copies in use by product id
+        this._selectId = 0;
+
+    }
+
+    getProduct(id) {
+
+        return this.products.find(product => product.id === id) || null;
+
+    }
+
+    /**
+     * Make the product active: load it if needed, move it to the place of the
+     * previous one and dispose the previous one unless its copies are in use
+     * @param {String} id Product id
+     * @returns {Promise<Object3D>} root object of the product
+     */
+    async select(id) {
+
+        const product = this.getProduct(id);
+
+        if (product === null) {
+
+            throw new Error(`ProductCatalog: Unknown product "${id}"`);
+
+        }
+
+        if (product === this.activeProduct) return this.activeObject;
+
+        const selectId = ++this._selectId;
+
+        const cached = this._scenes.get(id) || null;
+        const scene = product.url ? (cached || await this._append(product.url)) : null;
+        const object = (scene || this.app.scene).getObjectByName(product.object);
+
+        if (selectId !== this._selectId) {
+
+            // superseded by a later selection while loading
+            if (scene && !cached) this._unload(scene);
+            return null;
+
+        }
+
+        if (!object) {
+
+            if (scene && !cached) this._unload(scene);
+            throw new Error(`ProductCatalog: Object "${product.object}" not found for product "${id}"`);
+
+        }
+
+        if (scene) this._scenes.set(id, scene);
+
+        const prevProduct = this.activeProduct;
+        const prevObject = this.activeObject || this._getMainSceneObject(product);
+        const prevScene = prevProduct ? this._scenes.get(prevProduct.id) : null;
+
+        if (prevObject) {
+
+            object.position.copy(prevObject.position);
+            object.quaternion.copy(prevObject.quaternion);
+            object.visible = prevObject.visible;
+
+            this._setPlacementGroup(prevObject, false);
+
+        }
+
+        this._setPlacementGroup(object, true);
+
+        if (prevScene && !this._useCounts.has(prevProduct.id)) {
+
+            this._unload(prevScene);
+            this._scenes.delete(prevProduct.id);
+
+        } else if (prevObject) {
+
+            // products from the main scene can't be reloaded, just hide them
+            prevObject.visible = false;
+
+        }
+
+        this.activeProduct = product;
+        this.activeObject = object;
+
+        _changeEvent.product = product;
+        _changeEvent.object = object;
+        this.dispatchEvent(_changeEvent);
+
+        return object;
+
+    }
+
+    /**
+     * Get the Quick Look model of the product
+     * @param {Object} product
+     * @param {String} variant Variant id
+     * @returns {String} USDZ url or null if not available
+     */
+    getUSDZ(product, variant = 'default') {
+
+        if (!product || !product.usdz) return null;
+
+        if (typeof product.usdz === 'string') return product.usdz;
+
+        return product.usdz[variant] || product.usdz.default || null;
+
+    }
+
+    /**
+     * Keep the product loaded while its copy is in use, e.g. placed in AR
+     * @param {String} id Product id
+     */
+    retain(id) {
+
+        this._useCounts.set(id, (this._useCounts.get(id) || 0) + 1);
+
+    }
+
+    /**
+     * Release the copy of the product, unloading the product once it's
+     * neither active nor in use
+     * @param {String} id Product id
+     */
+    release(id) {
+
+        const count = (this._useCounts.get(id) || 0) - 1;
+
+        if (count > 0) {
+
+            this._useCounts.set(id, count);
+            return;
+
+        }
+
+        this._useCounts.delete(id);
+
+        const scene = this._scenes.get(id);
+
+        if (scene && !(this.activeProduct && this.activeProduct.id === id)) {
+
+            this._unload(scene);
+            this._scenes.delete(id);
+
+        }
+
+    }
+
+    dispose() {
+
+        this._scenes.forEach(scene => this._unload(scene));
+        this._scenes.clear();
+        this._useCounts.clear();
+
+        this.activeProduct = null;
+        this.activeObject = null;
+
+    }
+
+    // object of the first product shipped with the main scene, except the given one
+    _getMainSceneObject(except) {
+
+        for (const product of this.products) {
+
+            if (product === except || product.url) continue;
+
+            const object = this.app.scene.getObjectByName(product.object);
+            if (object) return object;
+
+        }
+
+        return null;
+
+    }
+
+    _append(url) {
+
+        return new Promise((resolve, reject) => {
+
+            this.app.appendScene(url, resolve, null, () => {
+
+                reject(new Error(`ProductCatalog: Can't load the product ${url}`));
+
+            }, false, false);
+
+        });
+
+    }
+
+    _unload(scene) {
+
+        this.app.unload(scene);
+
+        // invalidate name lookups cached by puzzles
+        scene.traverse(function(obj) {
+
+            obj.name = '';
+
+        });
+
+    }
+
+    _setPlacementGroup(object, add) {
+
+        const groupName = this.placementGroup;
+
+        if (!groupName) return;
+
+        object.traverse(function(obj) {
+
+            const groupNames = obj.groupNames || [];
+
+            if (add && groupNames.indexOf(groupName) === -1) {
+
+                obj.groupNames = groupNames.concat(groupName);
+
+            } else if (!add) {
+
+                obj.groupNames = groupNames.filter(name => name !== groupName);
+
+            }
+
+        });
+
+    }
+
+}
+
+export { ProductCatalog };
@@ -7,6 +7,7 @@ import {
     Float32BufferAttribute,
     Line,
     LineBasicMaterial,
+    MathUtils,
     Matrix4,
     Mesh,
     MeshBasicMaterial,
@@ -26,6 +27,8 @@ _raycaster.params.checkVisibility = false;
 const _tempVector = new Vector3();
 const _tempVector2 = new Vector3();
 const _tempQuaternion = new Quaternion();
+const _quaternionBefore = new Quaternion();
+const _nudge = new Vector3();
 const _unit = {
     X: new Vector3(1, 0, 0),
     Y: new Vector3(0, 1, 0),
@@ -36,6 +39,7 @@ const _changeEvent = { type: 'change' };
 const _mouseDownEvent = { type: 'mouseDown' };
 const _mouseUpEvent = { type: 'mouseUp', mode: null };
 const _objectChangeEvent = { type: 'objectChange' };
+const _historyChangeEvent = { type: 'historyChange' };
 
 const INPUT = {
 
@@ -79,6 +83,38 @@ class TransformControls extends Object3D {
         this._startFingerDistance = 0;  // Distance between two fingers
         this._currentFingerDistance = 0;
         this._currentScale = 1;
+        this._startFingerRotation = 0; // Angle between two fingers
+        this._currentFingerRotation = 0;
+
+        // Two fingers twist rotates the object around the world up axis while scaling
+        this.enableTwist = true;
+
+        // Long press to move the object over the floor it was placed on
+        this.enableLongPressTranslate = true;
+        this.longPressTime = 500;   // Time in ms to hold one finger still before moving starts
+        this._longPressTimeout = null;
+
+        // Surface point to move the object to by long press instead of the plane
+        // at its base, e.g. the AR hit point: function returning a world position
+        // or null if there is no surface at the moment. See updateHitTest()
+        this.hitTest = null;
+        this._hitTestMoving = false;
+
+        // Desktop equivalents: mouse wheel scales, shift-drag moves over the floor,
+        // arrow keys nudge, [ ] rotate and + - scale (see listenToKeyEvents())
+        this.wheelScaleStep = 0.05;             // Scale change per wheel notch, relative to the true scale
+        this.wheelEndTime = 300;                // Time in ms without wheel events to end the scaling gesture
+        this._wheelTimeout = null;
+
+        this.keyTranslationStep = 0.05;         // Used unless translationSnap is set
+        this.keyRotationStep = Math.PI / 12;    // Used unless rotationSnap is set
+        this.keyScaleStep = 0.1;
+        this._domElementKeyEvents = null;
+
+        // Start pointer and wheel gestures on the object only, e.g. to share the
+        // canvas with camera controls disabled while dragging
+        this.objectGesturesOnly = false;
+        this._pointerIds = new Set();           // Pointers handled by the control
 
         //$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$
         //const _gizmo = new TransformControlsGizmo();
@@ -139,6 +175,10 @@ class TransformControls extends Object3D {
         defineProperty('translationSnap', null);
         defineProperty('rotationSnap', null);
         defineProperty('scaleSnap', null);
+        defineProperty('minScale', 0.01);
+        defineProperty('maxScale', Infinity);
+        defineProperty('trueScale', 1);           // Object scale matching real-world dimensions
+        defineProperty('trueScaleSnap', 0.05);    // Relative distance to the true scale to snap to it
         defineProperty('space', 'world');
         defineProperty('size', 1);
         defineProperty('dragging', false);
@@ -195,15 +235,29 @@ class TransformControls extends Object3D {
         this._quaternionDefault = new Quaternion();
         this._scaleDefault = new Vector3();
 
+        // Transform before the gesture, the transform start is reset by every new finger
+        this._gestureActive = false;
+        this._gesturePosition = new Vector3();
+        this._gestureQuaternion = new Quaternion();
+        this._gestureScale = new Vector3();
+
+        // Transform history: completed gestures as { before, after } states
+        this.historyLimit = 20;
+        this._history = [];
+        this._historyIndex = 0;     // Number of steps currently applied
+
         this._getPointer = getPointer.bind(this);
         this._onPointerDown = onPointerDown.bind(this);
         this._onPointerHover = onPointerHover.bind(this);
         this._onPointerMove = onPointerMove.bind(this);
         this._onPointerUp = onPointerUp.bind(this);
+        this._onWheel = onWheel.bind(this);
+        this._onKeyDown = onKeyDown.bind(this);
 
         this.domElement.addEventListener('pointerdown', this._onPointerDown);
         this.domElement.addEventListener('pointermove', this._onPointerHover);
         this.domElement.addEventListener('pointerup', this._onPointerUp);
+        this.domElement.addEventListener('wheel', this._onWheel, { passive: false });
 
     }
 
@@ -269,11 +323,29 @@ class TransformControls extends Object3D {
 
     }
 
+    /**
+     * Check if the pointer or wheel event is over the attached object
+     * @param {PointerEvent|WheelEvent} event
+     * @returns {Boolean}
+     */
+    hitsObject(event) {
+
+        if (this.object === undefined) return false;
+
+        _raycaster.setFromCamera(this._getPointer(event), this.camera);
+
+        return intersectObjectWithRay(this.object, _raycaster) !== false;
+
+    }
+
     //pointerDown(pointer) {
     pointerDown(event) {
 
         let pointer = this._getPointer(event)
 
+        // A pointer interrupts the wheel scaling
+        if (this._wheelTimeout !== null) this.onWheelEnd();
+
         //if (this.object === undefined || this.dragging === true || pointer.button !== 0) return;
         //if (this.dragging === true || pointer.button !== 0) return;
         
@@ -290,10 +362,15 @@ class TransformControls extends Object3D {
                     // Single touch Start
                     this.mode = 'rotate';
                     this._input = INPUT.ONE_FINGER;
+
+                    if (this.enableLongPressTranslate) {
+                        this._longPressTimeout = setTimeout(this.onLongPress, this.longPressTime);
+                    }
                     break;
 
                 case INPUT.ONE_FINGER:
                 case INPUT.ONE_FINGER_SWITCHED:
+                    this.cancelLongPress();
                     this.mode = 'scale';
                     this._input = INPUT.TWO_FINGER;
 
@@ -309,28 +386,32 @@ class TransformControls extends Object3D {
 
         } else if (event.pointerType != 'touch' && this._input == INPUT.NONE) {
             this._input = INPUT.CURSOR;
-        }
 
-        if (this.axis !== null) {
+            // Shift-drag moves the object over the floor, plain drag rotates it
+            if (event.shiftKey) {
+                this.mode = 'translate';
+                this.axis = 'XZ';
+            } else {
+                this.mode = 'rotate';
+            }
 
-            _raycaster.setFromCamera(pointer, this.camera);
-            const planeIntersect = intersectObjectWithRay(this._plane, _raycaster, true);
-            
-            if (planeIntersect) {
-                
-                this.object.updateMatrixWorld();
-                this.object.parent.updateMatrixWorld();
+            // Align the plane for the mode before picking the start point
+            this.updateMatrixWorld();
+        }
 
-                this._positionStart.copy(this.object.position);
-                this._quaternionStart.copy(this.object.quaternion);
-                this._scaleStart.copy(this.object.scale);
+        if (this.axis !== null) {
 
-                this.object.matrixWorld.decompose(this.worldPositionStart, this.worldQuaternionStart, this._worldScaleStart);
+            if (!this._gestureActive && this.object !== undefined) {
 
-                this.pointStart.copy(planeIntersect.point).sub(this.worldPositionStart);
+                this._gestureActive = true;
+                this._gesturePosition.copy(this.object.position);
+                this._gestureQuaternion.copy(this.object.quaternion);
+                this._gestureScale.copy(this.object.scale);
 
             }
 
+            this.startTransform(pointer);
+
             this.dragging = true;
             _mouseDownEvent.mode = this.mode;
             this.dispatchEvent(_mouseDownEvent);
@@ -350,6 +431,12 @@ class TransformControls extends Object3D {
 
         if (event.pointerType == 'touch' && this._input != INPUT.CURSOR) {
             this.updateTouchEvent(event);
+
+            // Moving the finger before the long press fires means rotation
+            if (this._longPressTimeout !== null && this.calculatePointersDistance(this._touchStart[0],
+                    this._touchCurrent[0]) > this._switchSensibility) {
+                this.cancelLongPress();
+            }
         }
 
         if (mode === 'scale') {
@@ -370,6 +457,9 @@ class TransformControls extends Object3D {
 
         this.pointEnd.copy(planeIntersect.point).sub(this.worldPositionStart);
 
+        // moved by updateHitTest() instead
+        if (mode === 'translate' && this._hitTestMoving) return;
+
         if (mode === 'translate') {
             // Apply translate
             this._offset.copy(this.pointEnd).sub(this.pointStart);
@@ -448,8 +538,28 @@ class TransformControls extends Object3D {
             //this._currentFingerDistance = this._startFingerDistance;
 
             let scale = this._currentScale * this._currentFingerDistance / this._startFingerDistance;
+            scale = this.snapScale(scale);
             object.scale.set(scale, scale, scale);
 
+            if (this.enableTwist) {
+
+                this._currentFingerRotation = this.getAngle(this._touchCurrent[1], this._touchCurrent[0]);
+
+                // Wrap to [-180, 180) so crossing the atan2 discontinuity doesn't flip the object
+                let angle = this._startFingerRotation - this._currentFingerRotation;
+                angle = MathUtils.euclideanModulo(angle + 180, 360) - 180;
+
+                this.rotationAngle = MathUtils.DEG2RAD * angle;
+
+                // Apply rotation snap
+                if (this.rotationSnap) this.rotationAngle = Math.round(this.rotationAngle / this.rotationSnap) * this.rotationSnap;
+
+                this.rotationAxis.copy(_unit.Y).applyQuaternion(this._parentQuaternionInv);
+                object.quaternion.copy(_tempQuaternion.setFromAxisAngle(this.rotationAxis, this.rotationAngle));
+                object.quaternion.multiply(this._quaternionStart).normalize();
+
+            }
+
             // Apply scale
             //object.scale.copy(this._scaleStart).multiply(_tempVector2);
 
@@ -520,6 +630,8 @@ class TransformControls extends Object3D {
 
         let pointer = this._getPointer(event);
 
+        this.cancelLongPress();
+
         if (event.pointerType == 'touch' && this._input != INPUT.CURSOR) {
 
             const nTouch = this._touchCurrent.length;
@@ -557,12 +669,24 @@ class TransformControls extends Object3D {
 
         }
 
+        if (event.pointerType != 'touch' && this._input == INPUT.CURSOR) {
+            this._input = INPUT.NONE;
+        }
+
         if (event.pointerType === 'touch' && event.isPrimary) {
             // Reset touchStartDistance on touch end
             touchStartDistance = 0;
             this._startFingerDistance = 0;
        }
 
+        // The last pointer is up: the gesture is one undo step however many fingers it took
+        if (this._input == INPUT.NONE && this._gestureActive) {
+
+            this._gestureActive = false;
+            this.pushHistory(this._gesturePosition, this._gestureQuaternion, this._gestureScale);
+
+        }
+
        if (pointer.button !== 0) return;
 
         if (this.dragging && (this.axis !== null)) {
@@ -574,6 +698,103 @@ class TransformControls extends Object3D {
 
         this.dragging = false;
         this.axis = null;
+        this._hitTestMoving = false;
+
+    }
+
+    /**
+     * Start transforming the attached object from the given pointer position
+     * @param {Object} pointer Pointer in normalized device coordinates
+     */
+    startTransform(pointer) {
+
+        _raycaster.setFromCamera(pointer, this.camera);
+        const planeIntersect = intersectObjectWithRay(this._plane, _raycaster, true);
+
+        if (planeIntersect) {
+
+            this.object.updateMatrixWorld();
+            this.object.parent.updateMatrixWorld();
+
+            this._positionStart.copy(this.object.position);
+            this._quaternionStart.copy(this.object.quaternion);
+            this._scaleStart.copy(this.object.scale);
+
+            this.object.matrixWorld.decompose(this.worldPositionStart, this.worldQuaternionStart, this._worldScaleStart);
+
+            this.pointStart.copy(planeIntersect.point).sub(this.worldPositionStart);
+
+        }
+
+    }
+
+    /**
+     * Holding one finger still switches from rotation to moving the object
+     * over the horizontal plane at its base, i.e. the floor detected by the AR
+     * hit test when the object was placed, or to the surface point given by
+     * hitTest
+     */
+    onLongPress = () => {
+
+        this._longPressTimeout = null;
+
+        if (this.object === undefined || !this.dragging || this._input != INPUT.ONE_FINGER) return;
+
+        // Revert the rotation performed while holding
+        this.object.quaternion.copy(this._quaternionStart);
+
+        this.mode = 'translate';
+        this.axis = 'XZ';
+        this._hitTestMoving = this.hitTest !== null && this.hitTest() !== null;
+
+        // Align the plane for the new mode before picking the start point
+        this.updateMatrixWorld();
+        this.startTransform(this._getPointer(this._touchCurrent[0]));
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    };
+
+    /**
+     * Move the object to the hitTest point while it's moved by long press.
+     * Call every frame, the point changes with the device pose even if the
+     * finger stays still
+     */
+    updateHitTest() {
+
+        if (!this._hitTestMoving || this.object === undefined) return;
+
+        const point = this.hitTest();
+
+        if (!point) return;
+
+        _tempVector.copy(point);
+
+        if (this.object.parent) {
+
+            this.object.parent.updateMatrixWorld();
+            this.object.parent.worldToLocal(_tempVector);
+
+        }
+
+        if (this.object.position.equals(_tempVector)) return;
+
+        this.object.position.copy(_tempVector);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    cancelLongPress() {
+
+        if (this._longPressTimeout !== null) {
+
+            clearTimeout(this._longPressTimeout);
+            this._longPressTimeout = null;
+
+        }
 
     }
 
@@ -582,6 +803,21 @@ class TransformControls extends Object3D {
         this._currentFingerDistance = this._startFingerDistance;
         this._currentScale = this.object.scale.x;
 
+        this._startFingerRotation = this.getAngle(this._touchCurrent[1], this._touchCurrent[0]);
+        this._currentFingerRotation = this._startFingerRotation;
+
+    };
+
+    /**
+     * Calculate the angle between two pointers
+     * @param {PointerEvent} p1
+     * @param {PointerEvent} p2
+     * @returns {Number} The angle between two pointers in degrees
+     */
+    getAngle = (p1, p2) => {
+
+        return Math.atan2(p2.clientY - p1.clientY, p2.clientX - p1.clientX) * 180 / Math.PI;
+
     };
 
     /**
@@ -609,12 +845,176 @@ class TransformControls extends Object3D {
         }
     };
 
+    /**
+     * Scale the object with the mouse wheel. The notches of one scroll are
+     * recorded as a single transformation
+     * @param {WheelEvent} event
+     */
+    wheel(event) {
+
+        // horizontal scrolling doesn't scale
+        if (this.object === undefined || event.deltaY === 0 || (this.dragging && this._wheelTimeout === null)) return;
+
+        event.preventDefault();
+
+        if (this._wheelTimeout === null) {
+
+            this._positionStart.copy(this.object.position);
+            this._quaternionStart.copy(this.object.quaternion);
+            this._scaleStart.copy(this.object.scale);
+
+            this.mode = 'scale';
+            this.dragging = true;
+
+        } else {
+
+            clearTimeout(this._wheelTimeout);
+
+        }
+
+        const step = -Math.sign(event.deltaY) * this.wheelScaleStep;
+        this.object.scale.setScalar(this.snapScale(this.object.scale.x + step * this.trueScale));
+
+        this._wheelTimeout = setTimeout(this.onWheelEnd, this.wheelEndTime);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    onWheelEnd = () => {
+
+        clearTimeout(this._wheelTimeout);
+        this._wheelTimeout = null;
+
+        this.pushHistory(this._positionStart, this._quaternionStart, this._scaleStart);
+
+        this.dragging = false;
+
+        _mouseUpEvent.mode = this.mode;
+        this.dispatchEvent(_mouseUpEvent);
+
+    };
+
+    /**
+     * Move the object over the floor in one step, e.g. from the keyboard
+     * @param {Number} right Distance along the camera right direction
+     * @param {Number} forward Distance along the camera view direction
+     */
+    translateBy(right, forward) {
+
+        if (!this.enabled || this.dragging || this.object === undefined) return;
+
+        const object = this.object;
+
+        this.updateMatrixWorld();
+
+        _tempVector.set(1, 0, 0).applyQuaternion(this.cameraQuaternion).setY(0).normalize();
+        _tempVector2.set(0, 0, -1).applyQuaternion(this.cameraQuaternion).setY(0).normalize();
+
+        _nudge.copy(_tempVector).multiplyScalar(right).addScaledVector(_tempVector2, forward);
+        _nudge.applyQuaternion(this._parentQuaternionInv).divide(this._parentScale);
+
+        _tempVector.copy(object.position);
+
+        object.position.add(_nudge);
+
+        this.pushHistory(_tempVector, object.quaternion, object.scale);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    /**
+     * Handle the keys on the given element, e.g. window: arrows nudge the
+     * object, [ and ] rotate it, + and - scale it. The steps follow
+     * translationSnap and rotationSnap if set
+     * @param {HTMLElement} domElement
+     */
+    listenToKeyEvents(domElement) {
+
+        domElement.addEventListener('keydown', this._onKeyDown);
+        this._domElementKeyEvents = domElement;
+
+    }
+
+    stopListenToKeyEvents() {
+
+        if (this._domElementKeyEvents !== null) {
+
+            this._domElementKeyEvents.removeEventListener('keydown', this._onKeyDown);
+            this._domElementKeyEvents = null;
+
+        }
+
+    }
+
+    keyDown(event) {
+
+        // keep the browser shortcuts, e.g. Ctrl + zooms the page
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const translation = this.translationSnap || this.keyTranslationStep;
+        const rotation = this.rotationSnap || this.keyRotationStep;
+
+        switch (event.key) {
+
+            case 'ArrowLeft':
+                this.translateBy(-translation, 0);
+                break;
+
+            case 'ArrowRight':
+                this.translateBy(translation, 0);
+                break;
+
+            case 'ArrowUp':
+                this.translateBy(0, translation);
+                break;
+
+            case 'ArrowDown':
+                this.translateBy(0, -translation);
+                break;
+
+            case '[':
+                this.rotateBy(rotation);
+                break;
+
+            case ']':
+                this.rotateBy(-rotation);
+                break;
+
+            case '+':
+            case '=':
+                this.scaleBy(this.keyScaleStep);
+                break;
+
+            case '-':
+                this.scaleBy(-this.keyScaleStep);
+                break;
+
+            default:
+                return;
+
+        }
+
+        event.preventDefault();
+
+    }
+
     dispose() {
 
+        this.cancelLongPress();
+
+        if (this._wheelTimeout !== null) clearTimeout(this._wheelTimeout);
+
         this.domElement.removeEventListener('pointerdown', this._onPointerDown);
         this.domElement.removeEventListener('pointermove', this._onPointerHover);
         this.domElement.removeEventListener('pointermove', this._onPointerMove);
         this.domElement.removeEventListener('pointerup', this._onPointerUp);
+        this.domElement.removeEventListener('wheel', this._onWheel);
+
+        this.stopListenToKeyEvents();
 
         this.traverse(function(child) {
 
@@ -634,6 +1034,9 @@ class TransformControls extends Object3D {
         this._quaternionDefault.copy(this.object.quaternion);
         this._scaleDefault.copy(this.object.scale);
 
+        this._gestureActive = false;
+        this.clearHistory();
+
         return this;
 
     }
@@ -645,6 +1048,11 @@ class TransformControls extends Object3D {
         this.visible = false;
         this.axis = null;
 
+        this._gestureActive = false;
+        this._hitTestMoving = false;
+        this._pointerIds.clear();
+        this.clearHistory();
+
         return this;
 
     }
@@ -668,10 +1076,198 @@ class TransformControls extends Object3D {
     }
 
     resetTransform() {
+
+        _tempVector.copy(this.object.position);
+        _tempQuaternion.copy(this.object.quaternion);
+        _tempVector2.copy(this.object.scale);
+
         //this.object.position.copy(this._positionStart);   // Let it be at the spawned position
         this.object.quaternion.copy(this._quaternionDefault);
         this.object.scale.copy(this._scaleDefault);
- 
+
+        this.pushHistory(_tempVector, _tempQuaternion, _tempVector2);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    /**
+     * Snap the uniform scale to steps relative to the true scale and clamp it
+     * by the scale limits
+     * @param {Number} scale
+     * @returns {Number} The snapped scale
+     */
+    snapScale(scale) {
+
+        let ratio = scale / this.trueScale;
+
+        // Apply scale snap
+        if (this.scaleSnap) ratio = Math.max(Math.round(ratio / this.scaleSnap), 1) * this.scaleSnap;
+
+        // Always stick to the real-world size when close to it
+        if (Math.abs(ratio - 1) < this.trueScaleSnap) ratio = 1;
+
+        return MathUtils.clamp(ratio * this.trueScale, this.minScale, this.maxScale);
+
+    }
+
+    // Scale the object to its real-world dimensions
+    setTrueSize() {
+
+        if (this.object === undefined) return;
+
+        _tempVector2.copy(this.object.scale);
+
+        this.object.scale.setScalar(this.trueScale);
+
+        this.pushHistory(this.object.position, this.object.quaternion, _tempVector2);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    /**
+     * Rotate the object around the world up axis in one step, e.g. from the
+     * keyboard
+     * @param {Number} angle Angle in radians
+     */
+    rotateBy(angle) {
+
+        if (!this.enabled || this.dragging || this.object === undefined) return;
+
+        const object = this.object;
+
+        this.updateMatrixWorld();
+
+        _quaternionBefore.copy(object.quaternion);
+
+        this.rotationAxis.copy(_unit.Y).applyQuaternion(this._parentQuaternionInv);
+        object.quaternion.premultiply(_tempQuaternion.setFromAxisAngle(this.rotationAxis, angle)).normalize();
+
+        this.pushHistory(object.position, _quaternionBefore, object.scale);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    /**
+     * Scale the object in one step, e.g. from the keyboard. The scale is
+     * snapped and clamped like the pinch one
+     * @param {Number} step Scale change relative to the true scale, e.g. 0.1 for 10%
+     */
+    scaleBy(step) {
+
+        if (!this.enabled || this.dragging || this.object === undefined) return;
+
+        _tempVector2.copy(this.object.scale);
+
+        this.object.scale.setScalar(this.snapScale(this.object.scale.x + step * this.trueScale));
+
+        this.pushHistory(this.object.position, this.object.quaternion, _tempVector2);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+
+    }
+
+    /**
+     * Get the object size relative to its real-world dimensions
+     * @returns {Number} Size in percent
+     */
+    getScalePercent() {
+
+        if (this.object === undefined) return 0;
+
+        return Math.round(this.object.scale.x / this.trueScale * 100);
+
+    }
+
+    /**
+     * Record a completed transformation of the attached object, from the given
+     * state to the current one
+     * @param {Vector3} position Position before the transformation
+     * @param {Quaternion} quaternion Rotation before the transformation
+     * @param {Vector3} scale Scale before the transformation
+     */
+    pushHistory(position, quaternion, scale) {
+
+        const object = this.object;
+
+        if (object === undefined) return;
+
+        if (object.position.equals(position) && object.quaternion.equals(quaternion)
+                && object.scale.equals(scale)) return;
+
+        // Recording a new step discards the undone ones
+        this._history.length = this._historyIndex;
+
+        this._history.push({
+            before: { position: position.clone(), quaternion: quaternion.clone(), scale: scale.clone() },
+            after: { position: object.position.clone(), quaternion: object.quaternion.clone(), scale: object.scale.clone() }
+        });
+
+        if (this._history.length > this.historyLimit) this._history.shift();
+
+        this._historyIndex = this._history.length;
+
+        this.dispatchEvent(_historyChangeEvent);
+
+    }
+
+    clearHistory() {
+
+        this._history.length = 0;
+        this._historyIndex = 0;
+
+        this.dispatchEvent(_historyChangeEvent);
+
+    }
+
+    canUndo() {
+
+        return this.object !== undefined && this._historyIndex > 0;
+
+    }
+
+    canRedo() {
+
+        return this.object !== undefined && this._historyIndex < this._history.length;
+
+    }
+
+    // Step back one transformation
+    undo() {
+
+        if (!this.enabled || this.dragging || !this.canUndo()) return;
+
+        this._historyIndex--;
+        this.applyHistoryState(this._history[this._historyIndex].before);
+
+    }
+
+    // Repeat the last undone transformation
+    redo() {
+
+        if (!this.enabled || this.dragging || !this.canRedo()) return;
+
+        this._historyIndex++;
+        this.applyHistoryState(this._history[this._historyIndex - 1].after);
+
+    }
+
+    applyHistoryState(state) {
+
+        this.object.position.copy(state.position);
+        this.object.quaternion.copy(state.quaternion);
+        this.object.scale.copy(state.scale);
+
+        this.dispatchEvent(_changeEvent);
+        this.dispatchEvent(_objectChangeEvent);
+        this.dispatchEvent(_historyChangeEvent);
+
     }
 
     getRaycaster() {
@@ -772,6 +1368,11 @@ function onPointerDown(event) {
 
     if (!this.enabled) return;
 
+    // the other fingers join the gesture started on the object
+    if (this.objectGesturesOnly && this._pointerIds.size === 0 && !this.hitsObject(event)) return;
+
+    this._pointerIds.add(event.pointerId);
+
     if (!document.pointerLockElement) {
 
         this.domElement.setPointerCapture(event.pointerId);
@@ -797,7 +1398,7 @@ function onPointerMove(event) {
 
 function onPointerUp(event) {
 
-    if (!this.enabled) return;
+    if (!this.enabled || !this._pointerIds.delete(event.pointerId)) return;
 
     this.domElement.releasePointerCapture(event.pointerId);
 
@@ -808,6 +1409,26 @@ function onPointerUp(event) {
 
 }
 
+function onWheel(event) {
+
+    if (!this.enabled) return;
+
+    // the started scaling goes on wherever the wheel turns
+    if (this.objectGesturesOnly && this._wheelTimeout === null && !this.hitsObject(event)) return;
+
+    this.wheel(event);
+
+}
+
+function onKeyDown(event) {
+
+    // keep typing in the page fields
+    if (!this.enabled || this.object === undefined || (event.target.closest && event.target.closest('input, textarea, select'))) return;
+
+    this.keyDown(event);
+
+}
+
 function intersectObjectWithRay(object, raycaster, includeInvisible) {
 
     const allIntersections = raycaster.intersectObject(object, true);
@@ -0,0 +1,69 @@
+/**
+ * Application state mirrored in the page URL query, so that the current view
+ * can be shared as a link. The URL is updated in place with
+ * history.replaceState(), other query parameters (e.g. "load" or "logic") are
+ * kept as is, e.g:
+ * ARDemo.html?product=truck&variant=red&show=an_3&open=an_3&view=fuel_tank&ar=1
+ */
+class UrlState {
+
+    constructor(location = window.location) {
+
+        this.params = new URLSearchParams(location.search);
+
+    }
+
+    get(key) {
+
+        return this.params.get(key);
+
+    }
+
+    /**
+     * @param {String} key
+     * @returns {String[]} comma-separated values, empty if not set
+     */
+    getList(key) {
+
+        const value = this.params.get(key);
+        return value ? value.split(',').filter(item => item !== '') : [];
+
+    }
+
+    getBoolean(key) {
+
+        const value = this.params.get(key);
+        return value !== null && value !== '0' && value !== 'false';
+
+    }
+
+    /**
+     * Update the state and the page URL. Empty values (null, '', []) remove
+     * the key
+     * @param {Object} values Values by key, arrays are stored comma-separated
+     */
+    set(values) {
+
+        Object.keys(values).forEach(key => {
+
+            let value = values[key];
+
+            if (Array.isArray(value)) value = value.join(',');
+
+            if (value === null || value === undefined || value === '')
+                this.params.delete(key);
+            else
+                this.params.set(key, value);
+
+        });
+
+        const query = this.params.toString().replace(/%2C/g, ',');
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+
+        history.replaceState(history.state, '', url);
+
+    }
+
+}
+
+export { UrlState };
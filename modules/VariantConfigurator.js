@@ -0,0 +1,292 @@
+import {
+    Color,
+    EventDispatcher,
+    SceneUtils,
+    Vector4
+} from '../v3d.module.js';
+
+const _changeEvent = { type: 'change', object: null, configuration: null };
+
+const _color = new Color();
+
+/**
+ * Material variants of the products. Variants are described in the product
+ * manifest as groups of options, each option maps object names to the names of
+ * the materials assigned to them. The materials have to be present in the
+ * scene, e.g. on a hidden material holder object:
+ * "variants": [
+ *     { "id": "paint", "name": "Paint", "options": [
+ *         { "id": "white", "name": "White", "color": "#f2f2f2", "materials": { "Cabin": "Paint_White" } },
+ *         { "id": "red", "name": "Red", "color": "#c0392b", "materials": { "Cabin": "Paint_Red" } }
+ *     ] }
+ * ]
+ *
+ * Groups listing "paint" objects need no extra materials: their options tint
+ * copies of the authored materials of these objects with the option color,
+ * options without a color restore the authored materials. The color replaces
+ * the base color of standard materials and the RGB node named by "colorNode"
+ * ("RGB" by default) of node materials:
+ * { "id": "paint", "name": "Paint", "paint": ["Cabin", "Door"], "options": [
+ *     { "id": "original", "name": "Original", "icon": "media/Truck.png" },
+ *     { "id": "red", "name": "Red", "color": "#c0392b" }
+ * ] }
+ *
+ * The configuration (option id by group id) is stored in the userData of the
+ * configured object, so every placed instance keeps its own.
+ *
+ * @param {App} app Verge3D application
+ */
+class VariantConfigurator extends EventDispatcher {
+
+    constructor(app) {
+
+        super();
+
+        this.app = app;
+
+        this.groups = [];
+        this.object = null;     // configured object
+
+        // variant materials may be unassigned from all scene objects once replaced
+        this._materials = new Map();
+
+        // painted object -> { authored, painted } materials
+        this._painted = new WeakMap();
+
+    }
+
+    /**
+     * Set the product, its variant groups and the configured object
+     * @param {Object} product
+     * @param {Object3D} object
+     */
+    setProduct(product, object) {
+
+        this.groups = (product && product.variants) || [];
+        this.setObject(object);
+
+    }
+
+    /**
+     * Set the configured object, e.g. the instance selected in AR, and apply
+     * its configuration
+     * @param {Object3D} object
+     */
+    setObject(object) {
+
+        this.object = object;
+
+        if (object) this.apply(object);
+
+    }
+
+    /**
+     * @param {Object3D} object
+     * @param {Array} groups Variant groups of the object's product
+     * @returns {Object} option id by group id, defaults to the first options
+     */
+    getConfiguration(object = this.object, groups = this.groups) {
+
+        const stored = (object && object.userData.configuration) || {};
+        const configuration = {};
+
+        groups.forEach(group => {
+
+            const option = this._getOption(group, stored[group.id]) || group.options[0];
+            if (option) configuration[group.id] = option.id;
+
+        });
+
+        return configuration;
+
+    }
+
+    /**
+     * @returns {String} ids of the selected options joined by commas, e.g. "red,chrome"
+     */
+    getVariantKey(object = this.object) {
+
+        const configuration = this.getConfiguration(object);
+        return this.groups.map(group => configuration[group.id]).join(',');
+
+    }
+
+    /**
+     * Select the option of the group for the configured object
+     * @param {String} groupId
+     * @param {String} optionId
+     * @returns {Boolean} If the option exists
+     */
+    select(groupId, optionId) {
+
+        const group = this.groups.find(group => group.id === groupId);
+
+        if (!group || !this._getOption(group, optionId) || !this.object) return false;
+
+        const configuration = this.getConfiguration();
+        configuration[groupId] = optionId;
+        this.object.userData.configuration = configuration;
+
+        this.apply(this.object);
+
+        return true;
+
+    }
+
+    /**
+     * Select the options by their ids, in any group
+     * @param {String[]} optionIds
+     */
+    selectOptions(optionIds) {
+
+        this.groups.forEach(group => {
+
+            const option = group.options.find(option => optionIds.indexOf(option.id) > -1);
+            if (option) this.select(group.id, option.id);
+
+        });
+
+    }
+
+    /**
+     * Assign the materials of the object configuration
+     * @param {Object3D} object
+     * @param {Array} groups Variant groups of the object's product
+     */
+    apply(object, groups = this.groups) {
+
+        const configuration = this.getConfiguration(object, groups);
+
+        groups.forEach(group => {
+
+            const option = this._getOption(group, configuration[group.id]);
+
+            if (!option) return;
+
+            Object.keys(option.materials || {}).forEach(objName => {
+
+                const target = this._getTarget(object, objName);
+                const material = this._getMaterial(option.materials[objName]);
+
+                if (!target) return;
+
+                if (!material) {
+
+                    console.warn(`VariantConfigurator: Material "${option.materials[objName]}" not found`);
+                    return;
+
+                }
+
+                // also affect children auto-generated for multi-material objects
+                target.resolveMultiMaterial().forEach(function(obj) {
+
+                    obj.material = material;
+
+                });
+
+            });
+
+            (group.paint || []).forEach(objName => {
+
+                const target = this._getTarget(object, objName);
+
+                if (target) this._paint(target, option.color || null, group.colorNode || 'RGB');
+
+            });
+
+        });
+
+        _changeEvent.object = object;
+        _changeEvent.configuration = configuration;
+        this.dispatchEvent(_changeEvent);
+
+    }
+
+    _getTarget(object, objName) {
+
+        const target = object.name === objName ? object : object.getObjectByName(objName);
+
+        if (!target) console.warn(`VariantConfigurator: Object "${objName}" not found`);
+
+        return target || null;
+
+    }
+
+    // Tint a copy of the authored materials, null restores them
+    _paint(target, color, colorNode) {
+
+        target.resolveMultiMaterial().forEach(obj => {
+
+            if (!obj.material) return;
+
+            let entry = this._painted.get(obj);
+
+            // the material was replaced, e.g. by another group
+            if (entry && obj.material !== entry.painted) entry = undefined;
+
+            if (color === null) {
+
+                if (entry) obj.material = entry.authored;
+                return;
+
+            }
+
+            if (!entry) {
+
+                entry = { authored: obj.material, painted: obj.material.clone() };
+                this._painted.set(obj, entry);
+
+            }
+
+            const material = entry.painted;
+            _color.set(color);
+
+            if (material.isMeshNodeMaterial) {
+
+                const index = material.nodeRGBMap[colorNode];
+
+                if (index === undefined) {
+
+                    console.warn(`VariantConfigurator: Material "${material.name}" has no "${colorNode}" node`);
+                    return;
+
+                }
+
+                // the copy shares the color vectors with the authored material
+                material.nodeRGB[index] = new Vector4(_color.r, _color.g, _color.b, 1);
+
+            } else if (material.color) {
+
+                material.color.copy(_color);
+
+            }
+
+            material.needsUpdate = true;
+            obj.material = material;
+
+        });
+
+    }
+
+    _getMaterial(name) {
+
+        if (!this._materials.has(name)) {
+
+            const material = SceneUtils.getMaterialByName(this.app, name);
+            if (material) this._materials.set(name, material);
+
+        }
+
+        return this._materials.get(name) || null;
+
+    }
+
+    _getOption(group, optionId) {
+
+        return group.options.find(option => option.id === optionId) || null;
+
+    }
+
+}
+
+export { VariantConfigurator };
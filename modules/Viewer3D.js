@@ -0,0 +1,204 @@
+import {
+    Box3,
+    EventDispatcher,
+    Matrix4,
+    Quaternion,
+    Sphere,
+    Vector3
+} from '../v3d.module.js';
+
+import { ArcballControls } from './ArcballControls.js';
+import { setGroupVisibility, setObjectVisibility } from './ARPlacement.js';
+
+const _enterEvent = { type: 'enter' };
+const _exitEvent = { type: 'exit' };
+const _viewEvent = { type: 'view', view: null };
+
+const _box = new Box3();
+const _sphere = new Sphere();
+const _position = new Vector3();
+const _target = new Vector3();
+const _quaternion = new Quaternion();
+
+/**
+ * Non-AR "3D view" mode: the product is shown in the scene and inspected with
+ * ArcballControls orbiting around it. Double tap focuses the tapped point,
+ * zoom is limited relative to the product size. The camera and the app's own
+ * controls are restored on exit, e.g. when handing off to AR.
+ *
+ * Camera bookmarks ("views") look at the target object from the offset given
+ * in the product space, so they don't depend on where the product is, e.g:
+ * { "id": "front", "name": "Front", "target": "Truck", "offset": [0, 1.5, 8] }
+ *
+ * @param {App} app Verge3D application
+ * @param {Object} options Placement group shown in the mode, zoom limits
+ * relative to the product bounding sphere radius
+ */
+class Viewer3D extends EventDispatcher {
+
+    constructor(app, options = {}) {
+
+        super();
+
+        this.app = app;
+
+        this.placementGroup = options.placementGroup || null;
+        this.minDistanceFactor = options.minDistanceFactor !== undefined ? options.minDistanceFactor : 1.2;
+        this.maxDistanceFactor = options.maxDistanceFactor !== undefined ? options.maxDistanceFactor : 5;
+
+        this.object = null;         // product object to inspect
+        this.views = [];            // camera bookmarks
+        this.controls = null;       // ArcballControls while active
+        this.active = false;
+
+        this._cameraMatrix = new Matrix4();
+        this._appControlsEnabled = false;
+        this._minDistance = 0;
+
+    }
+
+    enter() {
+
+        if (this.active || !this.object) return;
+
+        this.active = true;
+
+        const app = this.app;
+        const camera = app.camera;
+
+        this._cameraMatrix.copy(camera.matrix);
+
+        if (app.controls) {
+
+            this._appControlsEnabled = app.controls.enabled;
+            app.controls.enabled = false;
+
+        }
+
+        setGroupVisibility(app.scene, this.placementGroup, true);
+        setObjectVisibility(this.object, true);
+
+        _box.setFromObject(this.object).getBoundingSphere(_sphere);
+
+        // ArcballControls take the target when the camera is set
+        const controls = new ArcballControls(camera, app.renderer.domElement, app.scene);
+        controls.target.copy(_sphere.center);
+        controls.setCamera(camera);
+        controls.enableGizmos = false;
+        controls.setGizmosVisible(false);
+        controls.minDistance = _sphere.radius * this.minDistanceFactor;
+        this._minDistance = controls.minDistance;
+        controls.maxDistance = _sphere.radius * this.maxDistanceFactor;
+        controls.update();
+
+        this.controls = controls;
+
+        app.renderCallbacks.push(this.onRender);
+
+        this.dispatchEvent(_enterEvent);
+
+    }
+
+    exit() {
+
+        if (!this.active) return;
+
+        this.active = false;
+
+        const app = this.app;
+
+        const index = app.renderCallbacks.indexOf(this.onRender);
+        if (index > -1) app.renderCallbacks.splice(index, 1);
+
+        this.controls.dispose();
+        this.controls = null;
+
+        app.camera.matrix.copy(this._cameraMatrix);
+        app.camera.matrix.decompose(app.camera.position, app.camera.quaternion, app.camera.scale);
+        app.camera.updateMatrixWorld(true);
+
+        if (app.controls) app.controls.enabled = this._appControlsEnabled;
+
+        setGroupVisibility(app.scene, this.placementGroup, false);
+
+        this.dispatchEvent(_exitEvent);
+
+    }
+
+    toggle() {
+
+        if (this.active)
+            this.exit();
+        else
+            this.enter();
+
+    }
+
+    getView(id) {
+
+        return this.views.find(view => view.id === id) || null;
+
+    }
+
+    /**
+     * Animate the camera to the bookmark, entering the mode if needed
+     * @param {String} id View id
+     * @returns {Boolean} If the view exists
+     */
+    goToView(id) {
+
+        const view = this.getView(id);
+
+        if (view === null || !this.object) return false;
+
+        this.enter();
+
+        const target = (view.target && this.app.scene.getObjectByName(view.target)) || this.object;
+
+        target.getWorldPosition(_target);
+        this.object.getWorldQuaternion(_quaternion);
+        _position.fromArray(view.offset || [0, 0, 1]).applyQuaternion(_quaternion).add(_target);
+
+        // close-ups are allowed to get nearer than the zoom limit
+        this.controls.minDistance = Math.min(this._minDistance, _position.distanceTo(_target));
+        this.controls.animateTo(_position, _target);
+
+        _viewEvent.view = view;
+        this.dispatchEvent(_viewEvent);
+
+        return true;
+
+    }
+
+    /**
+     * Animate the camera toward the object, keeping the view direction
+     * @param {Object3D} object
+     * @param {Number} distanceFactor Fraction of the current distance to the object
+     */
+    focusObject(object, distanceFactor = 0.5) {
+
+        if (!this.active || !object) return;
+
+        object.getWorldPosition(_target);
+
+        _position.copy(this.app.camera.position).sub(_target);
+
+        const distance = Math.min(Math.max(_position.length() * distanceFactor,
+                this.controls.minDistance), this.controls.maxDistance);
+
+        _position.setLength(distance).add(_target);
+
+        this.controls.animateTo(_position, _target);
+
+    }
+
+    // Keep the zoom limits
+    onRender = () => {
+
+        this.controls.update();
+
+    };
+
+}
+
+export { Viewer3D };
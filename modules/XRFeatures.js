@@ -0,0 +1,67 @@
+/**
+ * Optional WebXR features requested for AR sessions in addition to the ones
+ * initWebXR() asks for (reference space, hit test and DOM overlay). The
+ * features are added to the "optionalFeatures" session option of the app's
+ * initWebXR() calls, e.g. the one made by the enterARMode puzzle, so the
+ * puzzle doesn't have to be changed.
+ */
+
+const _optionalFeatures = new WeakMap();    // app -> Set of features
+
+/**
+ * Request the optional features for the AR sessions started by the app
+ * @param {App} app Verge3D application
+ * @param {String[]} features e.g. ['anchors', 'light-estimation']
+ */
+function requestXRFeatures(app, features) {
+
+    let optionalFeatures = _optionalFeatures.get(app);
+
+    if (!optionalFeatures) {
+
+        optionalFeatures = new Set();
+        _optionalFeatures.set(app, optionalFeatures);
+
+        const initWebXR = app.initWebXR;
+
+        app.initWebXR = function(mode, referenceSpace, enterCb, unavailableCb, exitCb, options = {}) {
+
+            if (mode === 'immersive-ar') {
+
+                const requested = new Set(options.optionalFeatures || []);
+                optionalFeatures.forEach(feature => requested.add(feature));
+
+                options = Object.assign({}, options, {
+                    optionalFeatures: Array.from(requested)
+                });
+
+            }
+
+            return initWebXR.call(this, mode, referenceSpace, enterCb, unavailableCb, exitCb, options);
+
+        };
+
+    }
+
+    features.forEach(feature => optionalFeatures.add(feature));
+
+}
+
+/**
+ * Check if the feature was granted to the session. Runtimes not reporting
+ * enabled features are assumed to grant it, callers still have to check the
+ * feature API itself
+ * @param {XRSession} session
+ * @param {String} feature
+ * @returns {Boolean}
+ */
+function isXRFeatureEnabled(session, feature) {
+
+    if (!session) return false;
+    if (!session.enabledFeatures) return true;
+
+    return session.enabledFeatures.indexOf(feature) > -1;
+
+}
+
+export { requestXRFeatures, isXRFeatureEnabled };
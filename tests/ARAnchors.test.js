@@ -0,0 +1,211 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Group, Object3D } from '../v3d.module.js';
+
+import { ARAnchors } from '../modules/ARAnchors.js';
+
+// WebXR stubs, only what ARAnchors uses
+
+class XRRigidTransform {
+
+    constructor(position, orientation) {
+
+        this.position = Object.assign({ x: 0, y: 0, z: 0, w: 1 }, position);
+        this.orientation = Object.assign({ x: 0, y: 0, z: 0, w: 1 }, orientation);
+
+    }
+
+}
+
+class XRAnchor {
+
+    constructor(transform) {
+
+        this.anchorSpace = { transform };
+        this.deleted = false;
+
+    }
+
+    delete() {
+
+        this.deleted = true;
+
+    }
+
+}
+
+class XRFrame {
+
+    constructor() {
+
+        this.trackedAnchors = new Set();
+        this.created = [];
+
+    }
+
+    createAnchor(pose, space) {
+
+        const anchor = new XRAnchor(pose);
+        this.created.push(anchor);
+
+        return Promise.resolve(anchor);
+
+    }
+
+    getPose(space, referenceSpace) {
+
+        return { transform: space.transform };
+
+    }
+
+}
+
+globalThis.XRRigidTransform = XRRigidTransform;
+globalThis.XRFrame = XRFrame;
+
+function createSession(enabledFeatures = ['anchors']) {
+
+    return {
+        enabledFeatures,
+        frameRequests: 0,
+        requestAnimationFrame() { return ++this.frameRequests; },
+        cancelAnimationFrame() { this.frameRequests = 0; }
+    };
+
+}
+
+// let the anchor creation promises settle
+function settle() {
+
+    return new Promise(resolve => setTimeout(resolve, 0));
+
+}
+
+let anchors, frame, object;
+const referenceSpace = {};
+
+beforeEach(() => {
+
+    const session = createSession();
+
+    anchors = new ARAnchors({ xrSession: session, renderer: { xr: { getReferenceSpace: () => referenceSpace } } });
+    anchors.start(session);
+
+    frame = new XRFrame();
+
+    object = new Object3D();
+    object.position.set(1, 0, -2);
+
+});
+
+test('does nothing without the anchors feature', () => {
+
+    anchors.stop();
+    anchors.start(createSession([]));
+
+    assert.equal(anchors.supported, false);
+
+    anchors.attach(object);
+    anchors.update(frame, referenceSpace);
+
+    assert.equal(anchors.isAttached(object), false);
+    assert.equal(frame.created.length, 0);
+
+});
+
+test('creates the anchor at the world pose of the object in the next frame', async () => {
+
+    const parent = new Group();
+    parent.position.set(0, 1, 0);
+    parent.add(object);
+
+    anchors.attach(object);
+
+    assert.equal(anchors.isAttached(object), true);
+    assert.equal(anchors.isAnchored(object), false);
+
+    anchors.update(frame, referenceSpace);
+    await settle();
+
+    assert.equal(frame.created.length, 1);
+    assert.deepEqual(frame.created[0].anchorSpace.transform.position, { x: 1, y: 1, z: -2, w: 1 });
+    assert.equal(anchors.isAnchored(object), true);
+
+});
+
+test('moves the object to the tracked anchor pose', async () => {
+
+    anchors.attach(object);
+    anchors.update(frame, referenceSpace);
+    await settle();
+
+    const anchor = frame.created[0];
+    anchor.anchorSpace.transform = new XRRigidTransform({ x: 1, y: 0.1, z: -2 });
+
+    // not tracked in this frame
+    anchors.update(frame, referenceSpace);
+    assert.equal(object.position.y, 0);
+
+    frame.trackedAnchors.add(anchor);
+    anchors.update(frame, referenceSpace);
+
+    assert.equal(object.position.y, 0.1);
+
+});
+
+test('deletes the anchor on detach', async () => {
+
+    anchors.attach(object);
+    anchors.update(frame, referenceSpace);
+    await settle();
+
+    anchors.detach(object);
+
+    assert.equal(frame.created[0].deleted, true);
+    assert.equal(anchors.isAttached(object), false);
+
+});
+
+test('replaces the anchor still being created when re-attached', async () => {
+
+    anchors.attach(object);
+    anchors.update(frame, referenceSpace);
+
+    // e.g. a keyboard nudge before the anchor is created
+    object.position.x = 1.5;
+    anchors.attach(object);
+    anchors.update(frame, referenceSpace);
+    await settle();
+
+    const [stale, current] = frame.created;
+
+    assert.equal(stale.deleted, true);
+    assert.equal(current.deleted, false);
+    assert.equal(current.anchorSpace.transform.position.x, 1.5);
+
+    stale.anchorSpace.transform.position.x = 1;
+    frame.trackedAnchors.add(stale);
+    frame.trackedAnchors.add(current);
+    anchors.update(frame, referenceSpace);
+
+    assert.equal(object.position.x, 1.5);
+
+});
+
+test('deletes all anchors on stop', async () => {
+
+    const other = new Object3D();
+
+    anchors.attach(object);
+    anchors.attach(other);
+    anchors.update(frame, referenceSpace);
+    await settle();
+
+    anchors.stop();
+
+    assert.equal(frame.created.every(anchor => anchor.deleted), true);
+    assert.equal(anchors.isAttached(object), false);
+    assert.equal(anchors.isAttached(other), false);
+
+});
@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ARLighting } from '../modules/ARLighting.js';
+
+let app, authored;
+
+beforeEach(() => {
+
+    authored = { isDataTexture: true };
+
+    app = {
+        scene: { worldMaterial: { nodeTextures: { world: authored } } },
+        updateEnvironment() {}
+    };
+
+});
+
+test('keeps the applied environment if the new one fails to load', async (t) => {
+
+    t.mock.method(console, 'log', () => {});
+
+    const lighting = new ARLighting(app);
+    const updateEnvironment = t.mock.method(app, 'updateEnvironment');
+
+    await lighting.setEnvironment('missing.hdr');
+
+    assert.equal(app.scene.worldMaterial.nodeTextures.world, authored);
+    assert.equal(updateEnvironment.mock.callCount(), 0);
+
+    // not taken for the applied one, so it's requested again
+    const load = lighting.setEnvironment('missing.hdr');
+    assert.equal(console.log.mock.callCount(), 1);
+
+    await load;
+    assert.equal(console.log.mock.callCount(), 2);
+
+});
+
+test('picks the dim environment at night without the ambient light sensor', (t) => {
+
+    const night = new ARLighting(app, { dayHours: [0, 0] });
+    const day = new ARLighting(app, { dayHours: [0, 24] });
+
+    const nightEnvironment = t.mock.method(night, 'setEnvironment', () => {});
+    const dayEnvironment = t.mock.method(day, 'setEnvironment', () => {});
+
+    night.start({ enabledFeatures: [] });
+    day.start({ enabledFeatures: [] });
+
+    assert.deepEqual(nightEnvironment.mock.calls[0].arguments, [night.environments.dim]);
+    assert.deepEqual(dayEnvironment.mock.calls[0].arguments, [null]);
+
+});
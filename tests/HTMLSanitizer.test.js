@@ -0,0 +1,70 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JSDOM } from 'jsdom';
+
+import { sanitizeHTML, sanitizeURL } from '../modules/HTMLSanitizer.js';
+
+before(() => {
+
+    const { window } = new JSDOM();
+
+    globalThis.document = window.document;
+    globalThis.Node = window.Node;
+
+});
+
+test('removes scripts together with their content', () => {
+
+    assert.equal(sanitizeHTML('<p>Door<script>alert(1)</script></p>'), '<p>Door</p>');
+    assert.equal(sanitizeHTML('<SCRIPT src="x.js"></SCRIPT>text'), 'text');
+
+});
+
+test('unwraps unknown elements and keeps their content', () => {
+
+    assert.equal(sanitizeHTML('<section><b>Wheel</b></section>'), '<b>Wheel</b>');
+
+});
+
+test('drops event handler attributes', () => {
+
+    assert.equal(sanitizeHTML('<img src="a.png" onerror="alert(1)">'), '<img src="a.png">');
+    assert.equal(sanitizeHTML('<div class="note" onClick="alert(1)">x</div>'), '<div class="note">x</div>');
+
+});
+
+test('rejects javascript: and data: URLs', () => {
+
+    assert.equal(sanitizeHTML('<a href="javascript:alert(1)">x</a>'), '<a href="#">x</a>');
+    assert.equal(sanitizeHTML('<a href=" java\tscript:alert(1)">x</a>'), '<a href="#">x</a>');
+    assert.equal(sanitizeHTML('<img src="data:image/svg+xml,<svg onload=alert(1)>">'), '<img src="#">');
+
+    assert.equal(sanitizeURL('JavaScript:alert(1)'), '#');
+    assert.equal(sanitizeURL('data:text/html,<script>alert(1)</script>'), '#');
+
+});
+
+test('keeps http(s), mailto and relative URLs', () => {
+
+    assert.equal(sanitizeURL('https://example.com/a'), 'https://example.com/a');
+    assert.equal(sanitizeURL('mailto:info@example.com'), 'mailto:info@example.com');
+    assert.equal(sanitizeURL('media/Truck.png'), 'media/Truck.png');
+    assert.equal(sanitizeURL(null), '');
+
+});
+
+test('adds rel="noopener noreferrer" to links opened in a new tab', () => {
+
+    assert.equal(sanitizeHTML('<a href="https://example.com" target="_blank">x</a>'),
+            '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+
+    assert.equal(sanitizeHTML('<a href="https://example.com" target="_blank" rel="opener">x</a>'),
+            '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+
+    assert.equal(sanitizeHTML('<a href="https://example.com" target="_BLANK">x</a>'),
+            '<a href="https://example.com" target="_BLANK" rel="noopener noreferrer">x</a>');
+
+    assert.equal(sanitizeHTML('<a href="https://example.com">x</a>'), '<a href="https://example.com">x</a>');
+
+});
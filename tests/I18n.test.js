@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { I18n } from '../modules/I18n.js';
+
+const ENTRY = {
+    id: 'an_3',
+    title: 'Fuel Tank',
+    content: [
+        { id: 'specs', type: 'specs', rows: [
+            { id: 'capacity', label: 'Capacity', value: '400 L' },
+            { id: 'material', label: 'Material', value: 'Aluminium' }
+        ] },
+        { id: 'actions', type: 'actions', actions: [
+            { id: 'brochure', text: 'Open brochure', action: 'open', target: 'https://en.wikipedia.org/wiki/Truck' }
+        ] },
+        { type: 'text', text: 'Block without id' }
+    ],
+    visible: false
+};
+
+function createI18n() {
+
+    const i18n = new I18n({ default: 'en', locales: ['en', 'de'] });
+
+    i18n.setBundle('en', { strings: {} });
+    i18n.setBundle('de', { strings: {
+        'annotations.an_3.title': 'Kraftstofftank',
+        'annotations.an_3.specs.capacity.label': 'Fassungsvermögen',
+        'annotations.an_3.actions.brochure.text': 'Broschüre öffnen',
+        'annotations.an_3.actions.brochure.target': 'https://de.wikipedia.org/wiki/Lastkraftwagen'
+    } });
+
+    i18n.setLocale('de');
+
+    return i18n;
+
+}
+
+test('translates the annotation text fields by the block and item ids', () => {
+
+    const entry = createI18n().localizeAnnotation(ENTRY);
+
+    assert.equal(entry.title, 'Kraftstofftank');
+    assert.deepEqual(entry.content[0].rows, [
+        { id: 'capacity', label: 'Fassungsvermögen', value: '400 L' },
+        { id: 'material', label: 'Material', value: 'Aluminium' }
+    ]);
+    assert.equal(entry.content[1].actions[0].text, 'Broschüre öffnen');
+    assert.equal(entry.content[2].text, 'Block without id');
+    assert.equal(entry.visible, false);
+
+});
+
+test('keeps the translations of reordered blocks and rows', () => {
+
+    const reordered = Object.assign({}, ENTRY, {
+        content: [ENTRY.content[1], Object.assign({}, ENTRY.content[0], { rows: ENTRY.content[0].rows.slice().reverse() })]
+    });
+
+    const entry = createI18n().localizeAnnotation(reordered);
+
+    assert.equal(entry.content[0].actions[0].text, 'Broschüre öffnen');
+    assert.equal(entry.content[1].rows[1].label, 'Fassungsvermögen');
+
+});
+
+test('does not translate URLs and other fields', () => {
+
+    const entry = createI18n().localizeAnnotation(ENTRY);
+
+    assert.equal(entry.content[1].actions[0].target, 'https://en.wikipedia.org/wiki/Truck');
+
+});
+
+test('keeps the manifest entry unchanged', () => {
+
+    createI18n().localizeAnnotation(ENTRY);
+
+    assert.equal(ENTRY.title, 'Fuel Tank');
+    assert.equal(ENTRY.content[0].rows[0].label, 'Capacity');
+
+});
+
+test('falls back to the manifest text', () => {
+
+    const i18n = createI18n();
+    i18n.setLocale('en');
+
+    assert.deepEqual(i18n.localizeAnnotation(ENTRY), ENTRY);
+
+});
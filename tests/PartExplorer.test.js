@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Group, Object3D } from '../v3d.module.js';
+
+import { PartExplorer } from '../modules/PartExplorer.js';
+
+const MANIFEST = {
+    parts: [
+        { id: 'door', objects: ['Door'], explode: [1, 0, 0] },
+        { id: 'wheels', objects: ['Wheels'], explode: [0, -1, 0] }
+    ]
+};
+
+let app, explorer, truck;
+
+function createTruck() {
+
+    const truck = new Group();
+
+    ['Door', 'Wheels'].forEach(name => {
+
+        const part = new Object3D();
+        part.name = name;
+        part.position.set(0, 1, 0);
+        truck.add(part);
+
+    });
+
+    return truck;
+
+}
+
+// run the render callbacks the way the app does
+function render(delta) {
+
+    app.renderCallbacks.forEach(callback => callback(delta, 0));
+
+}
+
+beforeEach(() => {
+
+    app = { renderCallbacks: [] };
+    explorer = new PartExplorer(app, MANIFEST);
+    explorer.explodeDuration = 1;
+
+    truck = createTruck();
+    explorer.setObject(truck);
+
+});
+
+test('explodes the parts along their vectors and back', () => {
+
+    explorer.setExploded(true);
+    render(1);
+
+    assert.deepEqual(truck.getObjectByName('Door').position.toArray(), [1, 1, 0]);
+
+    explorer.setExploded(false);
+    render(1);
+
+    assert.deepEqual(truck.getObjectByName('Door').position.toArray(), [0, 1, 0]);
+
+});
+
+test('keeps the other render callbacks running when the animation ends', () => {
+
+    let calls = 0;
+
+    explorer.setExploded(true);
+    app.renderCallbacks.push(() => calls++);
+
+    render(1);
+    render(1);
+
+    assert.equal(calls, 2);
+
+});
+
+test('assembles copies of the exploded object', () => {
+
+    explorer.setExploded(true);
+    render(1);
+    explorer.setPartVisible('wheels', false);
+
+    const copy = truck.clone();
+    explorer.resetCopy(copy, truck);
+    explorer.setObject(copy);
+
+    assert.deepEqual(copy.getObjectByName('Door').position.toArray(), [0, 1, 0]);
+    assert.equal(copy.getObjectByName('Wheels').visible, true);
+
+    // the copy can be exploded and assembled on its own
+    explorer.setExploded(true);
+    render(1);
+    explorer.setExploded(false);
+    render(1);
+
+    assert.deepEqual(copy.getObjectByName('Door').position.toArray(), [0, 1, 0]);
+
+});
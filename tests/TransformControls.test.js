@@ -0,0 +1,131 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JSDOM } from 'jsdom';
+
+import { BoxGeometry, Mesh, MeshBasicMaterial, PerspectiveCamera, Scene } from '../v3d.module.js';
+
+import { TransformControls } from '../modules/TransformControls.js';
+
+let window, element, controls, object;
+
+before(() => {
+
+    window = new JSDOM('<canvas></canvas>').window;
+    globalThis.document = window.document;
+
+});
+
+beforeEach(() => {
+
+    const camera = new PerspectiveCamera();
+    camera.position.set(0, 2, 5);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+
+    element = window.document.querySelector('canvas');
+    element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+
+    controls = new TransformControls(camera, element);
+    controls.listenToKeyEvents(window);
+
+    object = new Mesh(new BoxGeometry(), new MeshBasicMaterial());
+
+    const scene = new Scene();
+    scene.add(camera, object, controls);
+
+    controls.attach(object);
+
+});
+
+afterEach(() => {
+
+    controls.dispose();
+
+});
+
+function wheel(clientX, clientY, deltaY = -100) {
+
+    const event = new window.WheelEvent('wheel', { clientX, clientY, deltaY, cancelable: true });
+    element.dispatchEvent(event);
+
+    return event;
+
+}
+
+function press(key, modifiers = {}) {
+
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, cancelable: true }, modifiers));
+    window.dispatchEvent(event);
+
+    return event;
+
+}
+
+test('arrow keys move the object over the floor', () => {
+
+    press('ArrowRight');
+
+    assert.ok(object.position.x > 0);
+    assert.equal(object.position.y, 0);
+
+});
+
+test('+ and - scale the object', () => {
+
+    press('+');
+    assert.ok(Math.abs(object.scale.x - 1.1) < 1e-6);
+
+    press('-');
+    assert.ok(Math.abs(object.scale.x - 1) < 1e-6);
+
+});
+
+test('[ and ] rotate the object', () => {
+
+    press('[');
+
+    assert.ok(Math.abs(object.rotation.y - controls.keyRotationStep) < 1e-6);
+
+});
+
+test('keeps the browser shortcuts with modifier keys', () => {
+
+    const event = press('+', { ctrlKey: true });
+    press('-', { metaKey: true });
+    press('ArrowLeft', { altKey: true });
+
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(object.scale.x, 1);
+    assert.equal(object.position.x, 0);
+
+});
+
+test('the wheel scales the object', () => {
+
+    wheel(0, 0);
+    controls.onWheelEnd();
+
+    assert.ok(Math.abs(object.scale.x - 1.05) < 1e-6);
+
+});
+
+test('shares the canvas with camera controls when gestures start on the object only', () => {
+
+    controls.objectGesturesOnly = true;
+
+    // the object is in the middle of the view
+    const missed = wheel(5, 5);
+    assert.equal(missed.defaultPrevented, false);
+    assert.equal(object.scale.x, 1);
+
+    const hit = wheel(50, 50);
+    controls.onWheelEnd();
+    assert.equal(hit.defaultPrevented, true);
+    assert.ok(Math.abs(object.scale.x - 1.05) < 1e-6);
+
+    // keys don't depend on the pointer
+    press('ArrowUp');
+    assert.ok(object.position.z < 0);
+
+});
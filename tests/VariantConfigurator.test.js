@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BoxGeometry, Group, Mesh, MeshStandardMaterial } from '../v3d.module.js';
+
+import { VariantConfigurator } from '../modules/VariantConfigurator.js';
+
+const PAINT = {
+    id: 'paint',
+    paint: ['Cabin', 'Door'],
+    options: [
+        { id: 'original', icon: 'media/Truck.png' },
+        { id: 'red', color: '#ff0000' }
+    ]
+};
+
+let configurator, truck, cabin, door, authored;
+
+function createTruck() {
+
+    const truck = new Group();
+    truck.name = 'Truck';
+
+    const cabin = new Mesh(new BoxGeometry(), authored);
+    cabin.name = 'Cabin';
+    truck.add(cabin);
+
+    const door = new Mesh(new BoxGeometry(), authored);
+    door.name = 'Door';
+    cabin.add(door);
+
+    return truck;
+
+}
+
+beforeEach(() => {
+
+    authored = new MeshStandardMaterial({ color: 0x808080 });
+
+    configurator = new VariantConfigurator({ scene: null });
+
+    truck = createTruck();
+    cabin = truck.getObjectByName('Cabin');
+    door = truck.getObjectByName('Door');
+
+    configurator.setProduct({ variants: [PAINT] }, truck);
+
+});
+
+test('keeps the authored materials for options without a color', () => {
+
+    assert.equal(cabin.material, authored);
+    assert.equal(door.material, authored);
+
+});
+
+test('paints copies of the authored materials', () => {
+
+    configurator.select('paint', 'red');
+
+    assert.notEqual(cabin.material, authored);
+    assert.notEqual(door.material, authored);
+    assert.equal(cabin.material.color.getHex(), 0xff0000);
+    assert.equal(authored.color.getHex(), 0x808080);
+
+    configurator.select('paint', 'original');
+
+    assert.equal(cabin.material, authored);
+    assert.equal(door.material, authored);
+
+});
+
+test('paints every instance separately', () => {
+
+    const other = createTruck();
+
+    configurator.select('paint', 'red');
+    configurator.setObject(other);
+
+    assert.equal(other.getObjectByName('Cabin').material, authored);
+    assert.equal(cabin.material.color.getHex(), 0xff0000);
+
+});
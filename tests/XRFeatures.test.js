@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { requestXRFeatures, isXRFeatureEnabled } from '../modules/XRFeatures.js';
+
+// records the session options the app gets
+function createApp() {
+
+    return {
+        calls: [],
+        initWebXR(mode, referenceSpace, enterCb, unavailableCb, exitCb, options) {
+            this.calls.push({ mode, referenceSpace, options });
+        }
+    };
+
+}
+
+test('adds the requested features to the AR session options of the app', () => {
+
+    const app = createApp();
+
+    requestXRFeatures(app, ['anchors']);
+    requestXRFeatures(app, ['light-estimation', 'anchors']);
+
+    const options = { domOverlay: true, optionalFeatures: ['depth-sensing'] };
+    app.initWebXR('immersive-ar', 'local', null, null, null, options);
+
+    assert.deepEqual(app.calls[0].options, {
+        domOverlay: true,
+        optionalFeatures: ['depth-sensing', 'anchors', 'light-estimation']
+    });
+
+    // the caller's options are kept as they are
+    assert.deepEqual(options.optionalFeatures, ['depth-sensing']);
+
+});
+
+test('leaves VR sessions and other apps alone', () => {
+
+    const app = createApp();
+    const other = createApp();
+
+    requestXRFeatures(app, ['anchors']);
+
+    app.initWebXR('immersive-vr', 'local-floor', null, null, null, { domOverlay: false });
+    other.initWebXR('immersive-ar', 'local', null, null, null, { domOverlay: true });
+
+    assert.deepEqual(app.calls[0].options, { domOverlay: false });
+    assert.deepEqual(other.calls[0].options, { domOverlay: true });
+
+});
+
+test('checks the features granted to the session', () => {
+
+    assert.equal(isXRFeatureEnabled(null, 'anchors'), false);
+    assert.equal(isXRFeatureEnabled({}, 'anchors'), true);
+    assert.equal(isXRFeatureEnabled({ enabledFeatures: ['hit-test'] }, 'anchors'), false);
+    assert.equal(isXRFeatureEnabled({ enabledFeatures: ['anchors'] }, 'anchors'), true);
+
+});
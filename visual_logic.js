@@ -207,7 +207,7 @@ if ('fadeAnnotations' in initOptions) {
 
 this.procedures["show warning"] = show_warning;
 
-var id, annotation_visible;
+var id;
 
 // utility function envoked by almost all V3D-specific puzzles
 // filter off some non-mesh types
@@ -321,276 +321,6 @@ function changeVis(objSelector, bool) {
     }
 }
 
-/**
- * Retrieve coordinate system from the loaded scene
- */
-function getCoordSystem() {
-    var scene = appInstance.scene;
-
-    if (scene && 'coordSystem' in scene.userData) {
-        return scene.userData.coordSystem;
-    }
-
-    return 'Y_UP_RIGHT';
-}
-
-
-/**
- * Transform coordinates from one space to another
- * Can be used with Vector3 or Euler.
- */
-function coordsTransform(coords, from, to, noSignChange) {
-
-    if (from == to)
-        return coords;
-
-    var y = coords.y, z = coords.z;
-
-    if (from == 'Z_UP_RIGHT' && to == 'Y_UP_RIGHT') {
-        coords.y = z;
-        coords.z = noSignChange ? y : -y;
-    } else if (from == 'Y_UP_RIGHT' && to == 'Z_UP_RIGHT') {
-        coords.y = noSignChange ? z : -z;
-        coords.z = y;
-    } else {
-        console.error('coordsTransform: Unsupported coordinate space');
-    }
-
-    return coords;
-}
-
-
-/**
- * Verge3D euler rotation to Blender/Max shortest.
- * 1) Convert from intrinsic rotation (v3d) to extrinsic XYZ (Blender/Max default
- *    order) via reversion: XYZ -> ZYX
- * 2) swizzle ZYX->YZX
- * 3) choose the shortest rotation to resemble Blender's behavior
- */
-const eulerV3DToBlenderShortest = function() {
-
-    const eulerTmp = new v3d.Euler();
-    const eulerTmp2 = new v3d.Euler();
-    const vec3Tmp = new v3d.Vector3();
-
-    return function(euler, dest) {
-
-        const eulerBlender = eulerTmp.copy(euler).reorder('YZX');
-        const eulerBlenderAlt = eulerTmp2.copy(eulerBlender).makeAlternative();
-
-        const len = vec3Tmp.setFromEuler(eulerBlender).lengthSq();
-        const lenAlt = vec3Tmp.setFromEuler(eulerBlenderAlt).lengthSq();
-
-        dest.copy(len < lenAlt ? eulerBlender : eulerBlenderAlt);
-        return coordsTransform(dest, 'Y_UP_RIGHT', 'Z_UP_RIGHT');
-    }
-
-}();
-
-// arHitPoint puzzle
-function arHitPoint(coord) {
-
-    if (!_pGlob.arHitPoint) {
-        if (coord == 'xyz')
-            return [0, 0, 0];
-        else
-            return 0;
-    }
-
-    var hitPoint = coordsTransform(_pGlob.vec3Tmp.copy(_pGlob.arHitPoint), 'Y_UP_RIGHT', getCoordSystem());
-
-    if (coord == 'xyz')
-        return hitPoint.toArray();
-    else
-        return hitPoint[coord];
-}
-
-function RotationInterface() {
-    /**
-     * For user manipulations use XYZ extrinsic rotations (which
-     * are the same as ZYX intrinsic rotations)
-     *     - Blender/Max/Maya use extrinsic rotations in the UI
-     *     - XYZ is the default option, but could be set from
-     *       some order hint if exported
-     */
-    this._userRotation = new v3d.Euler(0, 0, 0, 'ZYX');
-    this._actualRotation = new v3d.Euler();
-}
-
-Object.assign(RotationInterface, {
-    initObject: function(obj) {
-        if (obj.userData.puzzles === undefined) {
-            obj.userData.puzzles = {}
-        }
-        if (obj.userData.puzzles.rotationInterface === undefined) {
-            obj.userData.puzzles.rotationInterface = new RotationInterface();
-        }
-
-        var rotUI = obj.userData.puzzles.rotationInterface;
-        rotUI.updateFromObject(obj);
-        return rotUI;
-    }
-});
-
-Object.assign(RotationInterface.prototype, {
-
-    updateFromObject: function(obj) {
-        var SYNC_ROT_EPS = 1e-8;
-
-        if (!this._actualRotation.equalsEps(obj.rotation, SYNC_ROT_EPS)) {
-            this._actualRotation.copy(obj.rotation);
-            this._updateUserRotFromActualRot();
-        }
-    },
-
-    getActualRotation: function(euler) {
-        return euler.copy(this._actualRotation);
-    },
-
-    setUserRotation: function(euler) {
-        // don't copy the order, since it's fixed to ZYX for now
-        this._userRotation.set(euler.x, euler.y, euler.z);
-        this._updateActualRotFromUserRot();
-    },
-
-    getUserRotation: function(euler) {
-        return euler.copy(this._userRotation);
-    },
-
-    _updateUserRotFromActualRot: function() {
-        var order = this._userRotation.order;
-        this._userRotation.copy(this._actualRotation).reorder(order);
-    },
-
-    _updateActualRotFromUserRot: function() {
-        var order = this._actualRotation.order;
-        this._actualRotation.copy(this._userRotation).reorder(order);
-    }
-
-});
-
-// setObjTransform puzzle
-function setObjTransform(objSelector, isWorldSpace, mode, vector, offset){
-    var x = vector[0];
-      var y = vector[1];
-      var z = vector[2];
-
-    var objNames = retrieveObjectNames(objSelector);
-
-    function setObjProp(obj, prop, val) {
-        if (!offset) {
-            obj[mode][prop] = val;
-        } else {
-            if (mode != "scale")
-                obj[mode][prop] += val;
-            else
-                obj[mode][prop] *= val;
-        }
-    }
-
-    var inputsUsed = _pGlob.vec3Tmp.set(Number(x !== ''), Number(y !== ''),
-            Number(z !== ''));
-    var coords = _pGlob.vec3Tmp2.set(x || 0, y || 0, z || 0);
-
-    if (mode === 'rotation') {
-        // rotations are specified in degrees
-        coords.multiplyScalar(v3d.MathUtils.DEG2RAD);
-    }
-
-    var coordSystem = getCoordSystem();
-
-    coordsTransform(inputsUsed, coordSystem, 'Y_UP_RIGHT', true);
-    coordsTransform(coords, coordSystem, 'Y_UP_RIGHT', mode === 'scale');
-
-    for (var i = 0; i < objNames.length; i++) {
-
-        var objName = objNames[i];
-        if (!objName) continue;
-
-        var obj = getObjectByName(objName);
-        if (!obj) continue;
-
-        if (isWorldSpace && obj.parent) {
-            obj.matrixWorld.decomposeE(obj.position, obj.rotation, obj.scale);
-
-            if (inputsUsed.x) setObjProp(obj, "x", coords.x);
-            if (inputsUsed.y) setObjProp(obj, "y", coords.y);
-            if (inputsUsed.z) setObjProp(obj, "z", coords.z);
-
-            obj.matrixWorld.composeE(obj.position, obj.rotation, obj.scale);
-            obj.matrix.multiplyMatrices(_pGlob.mat4Tmp.copy(obj.parent.matrixWorld).invert(), obj.matrixWorld);
-            obj.matrix.decompose(obj.position, obj.quaternion, obj.scale);
-
-        } else if (mode === 'rotation' && coordSystem == 'Z_UP_RIGHT') {
-            // Blender/Max coordinates
-
-            // need all the rotations for order conversions, especially if some
-            // inputs are not specified
-            var euler = eulerV3DToBlenderShortest(obj.rotation, _pGlob.eulerTmp);
-            coordsTransform(euler, coordSystem, 'Y_UP_RIGHT');
-
-            if (inputsUsed.x) euler.x = offset ? euler.x + coords.x : coords.x;
-            if (inputsUsed.y) euler.y = offset ? euler.y + coords.y : coords.y;
-            if (inputsUsed.z) euler.z = offset ? euler.z + coords.z : coords.z;
-
-            /**
-             * convert from Blender/Max default XYZ extrinsic order to v3d XYZ
-             * intrinsic with reversion (XYZ -> ZYX) and axes swizzling (ZYX -> YZX)
-             */
-            euler.order = "YZX";
-            euler.reorder(obj.rotation.order);
-            obj.rotation.copy(euler);
-
-        } else if (mode === 'rotation' && coordSystem == 'Y_UP_RIGHT') {
-            // Maya coordinates
-
-            // Use separate rotation interface to fix ambiguous rotations for Maya,
-            // might as well do the same for Blender/Max.
-
-            var rotUI = RotationInterface.initObject(obj);
-            var euler = rotUI.getUserRotation(_pGlob.eulerTmp);
-            // TODO(ivan): this probably needs some reasonable wrapping
-            if (inputsUsed.x) euler.x = offset ? euler.x + coords.x : coords.x;
-            if (inputsUsed.y) euler.y = offset ? euler.y + coords.y : coords.y;
-            if (inputsUsed.z) euler.z = offset ? euler.z + coords.z : coords.z;
-
-            rotUI.setUserRotation(euler);
-            rotUI.getActualRotation(obj.rotation);
-        } else {
-            if (inputsUsed.x) setObjProp(obj, "x", coords.x);
-            if (inputsUsed.y) setObjProp(obj, "y", coords.y);
-            if (inputsUsed.z) setObjProp(obj, "z", coords.z);
-
-        }
-
-        obj.updateMatrixWorld(true);
-    }
-
-}
-
-// arHitTest puzzle
-_pGlob.arHitPoint = new v3d.Vector3(0, 0, 0);
-_pGlob.arHitNormal = new v3d.Vector3(0, 0, 0);
-
-function arHitTest(cbHit, cbMiss, smooth) {
-    appInstance.renderer.xr.arHitTest(0, 0, function(point, normal) {
-
-        smooth = v3d.MathUtils.clamp(smooth, 0, 1);
-
-        var x = point.x;
-        var y = point.y;
-        var z = point.z;
-
-        _pGlob.arHitPoint.x = _pGlob.arHitPoint.x * smooth + (1 - smooth) * x;
-        _pGlob.arHitPoint.y = _pGlob.arHitPoint.y * smooth + (1 - smooth) * y;
-        _pGlob.arHitPoint.z = _pGlob.arHitPoint.z * smooth + (1 - smooth) * z;
-
-        _pGlob.arHitNormal.lerpVectors(normal, _pGlob.arHitNormal, smooth);
-
-        cbHit();
-    }, cbMiss);
-}
-
 // utility functions envoked by the HTML puzzles
 function getElements(ids, isParent) {
     var elems = [];
@@ -659,126 +389,6 @@ function setHTMLElemStyle(prop, value, ids, isParent) {
     }
 }
 
-// createVector puzzle
-function createVector(x, y, z) {
-    return [x, y, z];
-};
-
-// getObjTransform puzzle
-function getObjTransform(objName, isWorldSpace, mode, coord) {
-    if (!objName)
-        return;
-    var obj = getObjectByName(objName);
-    if (!obj)
-        return;
-
-    var coordSystem = getCoordSystem();
-
-    var transformVal;
-
-    if (isWorldSpace && obj.parent) {
-        if (mode === 'position') {
-            transformVal = coordsTransform(obj.getWorldPosition(_pGlob.vec3Tmp), 'Y_UP_RIGHT',
-                coordSystem, mode === 'scale');
-        } else if (mode === 'rotation') {
-            transformVal = coordsTransform(obj.getWorldEuler(_pGlob.eulerTmp, 'XYZ'), 'Y_UP_RIGHT',
-                coordSystem, mode === 'scale');
-        } else if (mode === 'scale') {
-            transformVal = coordsTransform(obj.getWorldScale(_pGlob.vec3Tmp), 'Y_UP_RIGHT',
-                coordSystem, mode === 'scale');
-        }
-
-    } else if (mode === 'rotation' && coordSystem == 'Z_UP_RIGHT') {
-        transformVal = eulerV3DToBlenderShortest(obj.rotation,
-                _pGlob.eulerTmp);
-
-    } else if (mode === 'rotation' && coordSystem == 'Y_UP_RIGHT') {
-        // Maya coordinates
-        // Use separate rotation interface to fix ambiguous rotations for Maya,
-        // might as well do the same for Blender/Max.
-
-        var rotUI = RotationInterface.initObject(obj);
-        transformVal = rotUI.getUserRotation(_pGlob.eulerTmp);
-
-    } else {
-        transformVal = coordsTransform(obj[mode].clone(), 'Y_UP_RIGHT',
-                coordSystem, mode === 'scale');
-    }
-
-    if (mode === 'rotation') {
-        transformVal.x = v3d.MathUtils.radToDeg(transformVal.x);
-        transformVal.y = v3d.MathUtils.radToDeg(transformVal.y);
-        transformVal.z = v3d.MathUtils.radToDeg(transformVal.z);
-    }
-
-    if (coord == 'xyz') {
-        // remove order component for Euler vectors
-        return transformVal.toArray().slice(0, 3);
-    } else {
-        return transformVal[coord];
-    }
-}
-
-// setObjDirection puzzle
-function setObjDirection(objSelector, vector, isPoint, lockUp) {
-    var objNames = retrieveObjectNames(objSelector);
-    var x = vector[0] || 0;
-      var y = vector[1] || 0;
-      var z = vector[2] || 0;
-
-    var coords = coordsTransform(_pGlob.vec3Tmp.set(x, y, z), getCoordSystem(), 'Y_UP_RIGHT');
-
-    for (var i = 0; i < objNames.length; i++) {
-        var objName = objNames[i];
-        if (!objName) continue;
-
-        var obj = getObjectByName(objName);
-        if (!obj) continue;
-
-        if (!isPoint) {
-            coords.normalize().add(obj.position);
-        }
-
-        if (lockUp) {
-            // NOTE: partially copy-pasted from LockedTrackConstraint
-
-            var targetWorldPos = new v3d.Vector3(coords.x, coords.y, coords.z);
-
-            var lockDir = new v3d.Vector3(0, 1, 0);
-
-            if (obj.isCamera || obj.isLight)
-                var trackDir = new v3d.Vector3(0, 0, -1);
-            else
-                var trackDir = new v3d.Vector3(0, 0, 1);
-
-            var projDir = new v3d.Vector3();
-            var plane = _pGlob.planeTmp;
-
-            var objWorldPos = new v3d.Vector3();
-            objWorldPos.setFromMatrixPosition(obj.matrixWorld);
-
-            plane.setFromNormalAndCoplanarPoint(lockDir, objWorldPos);
-            plane.projectPoint(targetWorldPos, projDir).sub(objWorldPos);
-
-            var sign = _pGlob.vec3Tmp2.crossVectors(trackDir, projDir).dot(lockDir) > 0 ? 1 : -1;
-
-            obj.setRotationFromAxisAngle(plane.normal, sign * trackDir.angleTo(projDir));
-
-            if (obj.parent) {
-                obj.parent.matrixWorld.decompose(_pGlob.vec3Tmp2, _pGlob.quatTmp, _pGlob.vec3Tmp2);
-                obj.quaternion.premultiply(_pGlob.quatTmp.invert());
-            }
-
-        } else {
-
-            obj.lookAt(coords.x, coords.y, coords.z);
-
-        }
-
-        obj.updateMatrixWorld(true);
-    }
-}
-
 function _pGetInputSource(controller) {
     if (controller && controller.userData.inputSource) {
         return controller.userData.inputSource
@@ -1001,73 +611,6 @@ function show_warning(id) {
   });
 }
 
-// utility function used by the whenClicked, whenHovered and whenDraggedOver puzzles
-function initObjectPicking(callback, eventType, mouseDownUseTouchStart, mouseButtons) {
-
-    var elem = appInstance.renderer.domElement;
-    bindListener(elem, eventType, pickListener);
-
-    if (eventType == 'mousedown') {
-
-        var touchEventName = mouseDownUseTouchStart ? 'touchstart' : 'touchend';
-        bindListener(elem, touchEventName, pickListener);
-
-    } else if (eventType == 'dblclick') {
-
-        var prevTapTime = 0;
-
-        function doubleTapCallback(event) {
-
-            var now = new Date().getTime();
-            var timesince = now - prevTapTime;
-
-            if (timesince < 600 && timesince > 0) {
-
-                pickListener(event);
-                prevTapTime = 0;
-                return;
-
-            }
-
-            prevTapTime = new Date().getTime();
-        }
-
-        var touchEventName = mouseDownUseTouchStart ? 'touchstart' : 'touchend';
-        bindListener(elem, touchEventName, doubleTapCallback);
-    }
-
-    var raycaster = new v3d.Raycaster();
-
-    function pickListener(event) {
-
-        // to handle unload in loadScene puzzle
-        if (!appInstance.getCamera())
-            return;
-
-        event.preventDefault();
-
-        var xNorm = 0, yNorm = 0;
-        if (event instanceof MouseEvent) {
-            if (mouseButtons && mouseButtons.indexOf(event.button) == -1)
-                return;
-            xNorm = event.offsetX / elem.clientWidth;
-            yNorm = event.offsetY / elem.clientHeight;
-        } else if (event instanceof TouchEvent) {
-            var rect = elem.getBoundingClientRect();
-            xNorm = (event.changedTouches[0].clientX - rect.left) / rect.width;
-            yNorm = (event.changedTouches[0].clientY - rect.top) / rect.height;
-        }
-
-        _pGlob.screenCoords.x = xNorm * 2 - 1;
-        _pGlob.screenCoords.y = -yNorm * 2 + 1;
-        raycaster.setFromCamera(_pGlob.screenCoords, appInstance.getCamera(true));
-        var objList = [];
-        appInstance.scene.traverse(function(obj){objList.push(obj);});
-        var intersects = raycaster.intersectObjects(objList, false);
-        callback(intersects, event);
-    }
-}
-
 function objectsIncludeObj(objNames, testedObjName) {
     if (!testedObjName) return false;
 
@@ -1099,98 +642,28 @@ function getPickedObjectName(obj) {
     }
 }
 
-// whenClicked puzzle
-function registerOnClick(objSelector, xRay, doubleClick, mouseButtons, cbDo, cbIfMissedDo) {
-
-    // for AR/VR
-    _pGlob.objClickInfo = _pGlob.objClickInfo || [];
-
-    _pGlob.objClickInfo.push({
-        objSelector: objSelector,
-        callbacks: [cbDo, cbIfMissedDo]
-    });
-
-    initObjectPicking(function(intersects, event) {
-
-        var isPicked = false;
-
-        var maxIntersects = xRay ? intersects.length : Math.min(1, intersects.length);
-
-        for (var i = 0; i < maxIntersects; i++) {
-            var obj = intersects[i].object;
-            var objName = getPickedObjectName(obj);
-            var objNames = retrieveObjectNames(objSelector);
-
-            if (objectsIncludeObj(objNames, objName)) {
-                // save the object for the pickedObject block
-                _pGlob.pickedObject = objName;
-                isPicked = true;
-                cbDo(event);
-            }
-        }
-
-        if (!isPicked) {
-            _pGlob.pickedObject = '';
-            cbIfMissedDo(event);
-        }
-
-    }, doubleClick ? 'dblclick' : 'mousedown', false, mouseButtons);
-}
-
 
 changeVis('prompt_move_around', false);
 changeVis(['GROUP', 'truck_group'], false);
 
 checkARMode(function() {
-  eventHTMLElem('pointerup', 'enter_AR_button', false, function(event) {
+  eventHTMLElem('click', 'enter_AR_button', false, function(event) {
     enterARMode('ORIGIN', true, function() {
-      changeVis(['GROUP', 'truck_group'], false);
-      changeVis('prompt_move_around', true);
-      arHitTest(function() {
-        changeVis(['GROUP', 'indicator_group'], true);
-        changeVis('prompt_move_around', false);
-        setObjTransform('IndicatorPlane', false, 'position', [arHitPoint('x'), arHitPoint('y'), arHitPoint('z')], false);
-      }, function() {
-        changeVis(['GROUP', 'indicator_group'], false);
-      }, 0.7);
       setHTMLElemStyle('display', 'none', 'enter_AR_button', false);
     }, function() {
-      changeVis(['GROUP', 'truck_group'], false);
-      changeVis('prompt_move_around', false);
-      setObjTransform('Truck', false, 'position', createVector(0, 0, 0), false);
-      setObjDirection('Truck', getObjTransform('Camera', false, 'position', 'xyz'), true, true);
       setHTMLElemStyle('display', 'block', 'enter_AR_button', false);
     }, function() {
       show_warning('warning_could_not_enter_AR');
     });
   });
 }, function() {}, function() {
-  eventHTMLElem('pointerup', 'enter_AR_button', false, function(event) {
+  eventHTMLElem('click', 'enter_AR_button', false, function(event) {
     show_warning('warning_AR_unavailable');
   });
 });
 
-registerOnClick('IndicatorPlane', false, false, [0,1,2], function() {
-  changeVis(['GROUP', 'truck_group'], true);
-  setObjTransform('Truck', false, 'position', [arHitPoint('x'), arHitPoint('y'), arHitPoint('z')], false);
-  setObjDirection('Truck', getObjTransform('Camera', false, 'position', 'xyz'), true, true);
-  console.log('Clicked Indicator Plane');
-}, function() {});
-
 changeVis(['GROUP', 'indicator_group'], false);
 
-annotation_visible = false;
-
-eventHTMLElem('click', 'annotation', false, function(event) {
-  if (annotation_visible == false) {
-    setHTMLElemStyle('display', 'block', ['an_1', 'an_2', 'an_3', 'an_4'], false);
-    annotation_visible = true;
-  } else {
-    setHTMLElemStyle('display', 'none', ['an_1', 'an_2', 'an_3', 'an_4'], false);
-    annotation_visible = false;
-  }
-});
-
 
 
 } // end of PL.init function